@@ -0,0 +1,100 @@
+const Admin = require("../models/Admin");
+const { verifyAccessToken } = require("../services/authService");
+
+/**
+ * Verifies the Bearer access token and attaches the admin to `req.admin`.
+ * Responds with 401 when the token is missing, invalid or expired, and with
+ * 403 when the token is valid but its admin account no longer exists.
+ */
+const authenticate = async (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({ message: "Access token is required" });
+  }
+
+  let payload;
+  try {
+    payload = verifyAccessToken(token);
+  } catch (error) {
+    return res.status(401).json({ message: "Invalid or expired access token" });
+  }
+
+  try {
+    const admin = await Admin.findById(payload.sub);
+    if (!admin) {
+      return res
+        .status(403)
+        .json({ message: "Admin account no longer has access" });
+    }
+
+    req.admin = admin;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Builds a middleware that requires an admin session on every request except
+ * the given public routes. Paths are relative to where the middleware is mounted.
+ * @param {Array<{method: string, path: string}>} publicRoutes - Routes that stay open.
+ */
+const requireAdmin = (publicRoutes = []) => {
+  return (req, res, next) => {
+    // Let CORS preflight requests through
+    if (req.method === "OPTIONS") {
+      return next();
+    }
+
+    const method = req.method === "HEAD" ? "GET" : req.method;
+    const path = req.path.replace(/\/+$/, "");
+    const isPublic = publicRoutes.some(
+      (route) => route.method === method && route.path === path
+    );
+
+    if (isPublic) {
+      return next();
+    }
+
+    authenticate(req, res, next);
+  };
+};
+
+/**
+ * Builds a middleware that only lets admins with one of the given roles through.
+ * Must run after `authenticate`.
+ * @param {...string} roles - The allowed roles.
+ */
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.admin || !roles.includes(req.admin.role)) {
+      return res
+        .status(403)
+        .json({ message: "You do not have permission to perform this action" });
+    }
+    next();
+  };
+};
+
+/**
+ * Like `requireRole`, but only for POST/PUT/PATCH/DELETE requests. Reads are
+ * left to `requireAdmin`, and public routes carry no admin so they pass through.
+ * @param {...string} roles - The roles allowed to write.
+ */
+const restrictWrites = (...roles) => {
+  const check = requireRole(...roles);
+  return (req, res, next) => {
+    if (["GET", "HEAD", "OPTIONS"].includes(req.method) || !req.admin) {
+      return next();
+    }
+    check(req, res, next);
+  };
+};
+
+module.exports = {
+  authenticate,
+  requireAdmin,
+  requireRole,
+  restrictWrites,
+};
@@ -0,0 +1,81 @@
+const { verifyChallenge } = require("../services/challengeVerifier");
+
+// Hidden form field that people never see; bots tend to fill it in
+const HONEYPOT_FIELD = "website";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const FIELD_LIMITS = {
+  name: 100,
+  email: 254,
+  subject: 200,
+  message: 5000,
+};
+
+/**
+ * Validates the contact form body and trims its fields in place.
+ * Responds with 400 and the list of problems when the body is invalid.
+ */
+const validateContactForm = (req, res, next) => {
+  const body = req.body || {};
+  const errors = [];
+
+  for (const [field, maxLength] of Object.entries(FIELD_LIMITS)) {
+    const value = body[field];
+
+    if (typeof value !== "string" || !value.trim()) {
+      errors.push(`${field} is required`);
+      continue;
+    }
+
+    body[field] = value.trim();
+    if (body[field].length > maxLength) {
+      errors.push(`${field} must be at most ${maxLength} characters`);
+    }
+  }
+
+  if (typeof body.email === "string" && !EMAIL_PATTERN.test(body.email)) {
+    errors.push("email must be a valid email address");
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({ message: "Invalid contact form", errors });
+  }
+
+  next();
+};
+
+/**
+ * Rejects the request with 400 when a challenge verifier is configured and
+ * the `challengeToken` in the body does not pass it.
+ */
+const requireChallenge = async (req, res, next) => {
+  try {
+    const passed = await verifyChallenge(req.body.challengeToken, req.ip);
+    if (!passed) {
+      return res.status(400).json({ message: "Challenge verification failed" });
+    }
+    next();
+  } catch (error) {
+    console.error("Error verifying challenge token:", error);
+    res.status(503).json({ message: "Could not verify challenge, please try again" });
+  }
+};
+
+/**
+ * Drops submissions that filled in the honeypot field, answering as if all
+ * went well so that bots do not adapt.
+ */
+const rejectHoneypot = (req, res, next) => {
+  if (req.body && req.body[HONEYPOT_FIELD]) {
+    return res.status(202).json({ message: "Message received" });
+  }
+  next();
+};
+
+module.exports = {
+  HONEYPOT_FIELD,
+  validateContactForm,
+  requireChallenge,
+  rejectHoneypot,
+};
@@ -0,0 +1,52 @@
+const RateLimitCounter = require("../models/RateLimitCounter");
+
+/**
+ * Builds a middleware that allows at most `max` requests per client IP in
+ * each fixed window of `windowMs`, answering 429 with a Retry-After header
+ * once the limit is reached.
+ * @param {object} options
+ * @param {string} options.name - Namespace for the counters, e.g. "contact".
+ * @param {number} options.windowMs - Window length in milliseconds.
+ * @param {number} options.max - Requests allowed per window.
+ */
+const rateLimit = ({ name, windowMs, max }) => {
+  return async (req, res, next) => {
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const windowEnd = windowStart + windowMs;
+
+    const increment = () =>
+      RateLimitCounter.findOneAndUpdate(
+        { key: `${name}:${req.ip}:${windowStart}` },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(windowEnd) } },
+        { upsert: true, new: true }
+      );
+
+    try {
+      let counter;
+      try {
+        counter = await increment();
+      } catch (error) {
+        // Two first requests of a window can both try to insert the
+        // counter; the loser hits the unique key and finds it on retry
+        if (error.code !== 11000) {
+          throw error;
+        }
+        counter = await increment();
+      }
+
+      if (counter.count > max) {
+        res.set("Retry-After", String(Math.ceil((windowEnd - now) / 1000)));
+        return res
+          .status(429)
+          .json({ message: "Too many requests, please try again later" });
+      }
+
+      next();
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  };
+};
+
+module.exports = rateLimit;
@@ -0,0 +1,215 @@
+const multer = require("multer");
+const fs = require("fs");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const MB = 1024 * 1024;
+
+// What each kind of upload field accepts. The type of a file is read from
+// its first bytes; the Content-Type sent by the client is ignored.
+const KINDS = {
+  image: {
+    types: ["image/jpeg", "image/png", "image/webp", "image/avif"],
+    maxSize: (Number(process.env.UPLOAD_MAX_IMAGE_MB) || 20) * MB,
+  },
+  video: {
+    // Every video is transcoded for playback, see services/videoTranscoder.js
+    types: ["video/mp4", "video/quicktime", "video/webm"],
+    maxSize: (Number(process.env.UPLOAD_MAX_VIDEO_MB) || 2048) * MB,
+  },
+};
+
+// ISO base media brands (bytes 8-12 of the `ftyp` box) of MP4 video
+const MP4_BRANDS = /^(isom|iso[2-9]|mp4[12]|avc1|M4V |dash|mmp4|msnv)$/;
+const AVIF_BRANDS = /^avi[fs]$/;
+
+const HEADER_LENGTH = 64;
+
+/**
+ * Works out the type of a file from its magic bytes.
+ * @param {Buffer} header - The first bytes of the file.
+ * @returns {string|null} One of the supported MIME types, or null.
+ */
+function sniffMimeType(header) {
+  const ascii = (start, end) => header.toString("latin1", start, end);
+
+  if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (ascii(0, 8) === "\x89PNG\r\n\x1a\n") {
+    return "image/png";
+  }
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") {
+    return "image/webp";
+  }
+  if (ascii(4, 8) === "ftyp") {
+    const brand = ascii(8, 12);
+    if (AVIF_BRANDS.test(brand)) {
+      return "image/avif";
+    }
+    if (MP4_BRANDS.test(brand)) {
+      return "video/mp4";
+    }
+    if (brand === "qt  ") {
+      return "video/quicktime";
+    }
+  }
+  // EBML header whose DocType is "webm"
+  if (header.readUInt32BE(0) === 0x1a45dfa3 && header.includes("webm", 4, "latin1")) {
+    return "video/webm";
+  }
+  return null;
+}
+
+async function readHeader(filePath) {
+  const file = await fs.promises.open(filePath, "r");
+  try {
+    // Bytes past the end of short files stay zero and match no signature
+    const header = Buffer.alloc(HEADER_LENGTH);
+    await file.read(header, 0, HEADER_LENGTH, 0);
+    return header;
+  } finally {
+    await file.close();
+  }
+}
+
+// Every file multer stored for the request, whichever method was used
+const uploadedFiles = (req) => {
+  if (req.file) {
+    return [req.file];
+  }
+  if (Array.isArray(req.files)) {
+    return req.files;
+  }
+  return Object.values(req.files || {}).flat();
+};
+
+const removeFiles = (files) =>
+  Promise.all(
+    files.map((file) =>
+      fs.promises.unlink(file.path).catch((error) => {
+        if (error.code !== "ENOENT") {
+          console.error(`Could not remove temporary upload ${file.path}:`, error);
+        }
+      })
+    )
+  );
+
+/**
+ * Builds the middleware for a set of file fields. Files are stored in
+ * `uploads/` like before, then checked: a file over its field's size limit
+ * is answered with 413, and a file whose content is not of an accepted type
+ * with 415. On success `file.mimetype` holds the detected type. Temporary
+ * files left over once the response is sent, because of an error or a
+ * rejected request, are removed.
+ * @param {{name: string, kind: "image"|"video", maxCount?: number, maxSize?: number}[]} fields
+ *   `maxSize` in bytes defaults to the limit of the kind.
+ * @param {(upload: object) => Function} select - Picks the multer method.
+ * @param {() => object} [noFiles] - What `req.files` is set to when the
+ *   request is not multipart/form-data, which multer lets through untouched.
+ */
+function handleUpload(fields, select, noFiles) {
+  const specs = fields.map((field) => ({
+    maxCount: 1,
+    maxSize: KINDS[field.kind].maxSize,
+    ...field,
+  }));
+
+  const upload = multer({
+    dest: "uploads/",
+    limits: {
+      fileSize: Math.max(...specs.map((spec) => spec.maxSize)),
+      files: specs.reduce((total, spec) => total + spec.maxCount, 0),
+    },
+  });
+  const receive = select(upload);
+
+  return (req, res, next) => {
+    res.on("close", () => removeFiles(uploadedFiles(req)));
+
+    receive(req, res, async (error) => {
+      if (error instanceof multer.MulterError) {
+        const status = error.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+        const field = error.field ? `${error.field}: ` : "";
+        return res.status(status).json({ message: `${field}${error.message}` });
+      }
+      if (error) {
+        return next(error);
+      }
+
+      if (req.files === undefined && noFiles) {
+        req.files = noFiles();
+      }
+
+      try {
+        for (const file of uploadedFiles(req)) {
+          const spec = specs.find((candidate) => candidate.name === file.fieldname);
+
+          if (file.size > spec.maxSize) {
+            return res.status(413).json({
+              message: `${file.fieldname}: ${file.originalname} is larger than ${Math.floor(spec.maxSize / MB)} MB`,
+            });
+          }
+
+          const mimeType = sniffMimeType(await readHeader(file.path));
+          if (!KINDS[spec.kind].types.includes(mimeType)) {
+            return res.status(415).json({
+              message: `${file.fieldname}: ${file.originalname} must be one of ${KINDS[spec.kind].types.join(", ")}`,
+            });
+          }
+          file.mimetype = mimeType;
+        }
+
+        next();
+      } catch (error) {
+        res.status(500).json({ message: error.message });
+      }
+    });
+  };
+}
+
+/**
+ * Accepts a single file, available as `req.file`.
+ * @param {string} name - The field name.
+ * @param {"image"|"video"} kind - What the field accepts.
+ * @param {{maxSize?: number}} [options]
+ */
+const single = (name, kind, options = {}) =>
+  handleUpload([{ name, kind, ...options }], (upload) => upload.single(name));
+
+/**
+ * Accepts up to `maxCount` files in one field, available as `req.files`
+ * (empty when none were sent).
+ * @param {string} name - The field name.
+ * @param {"image"|"video"} kind - What the field accepts.
+ * @param {number} maxCount
+ * @param {{maxSize?: number}} [options]
+ */
+const array = (name, kind, maxCount, options = {}) =>
+  handleUpload(
+    [{ name, kind, maxCount, ...options }],
+    (upload) => upload.array(name, maxCount),
+    () => []
+  );
+
+/**
+ * Accepts several fields, available as `req.files[name]`; `req.files` is
+ * an empty object when no files were sent.
+ * @param {{name: string, kind: "image"|"video", maxCount?: number, maxSize?: number}[]} fields
+ */
+const fields = (fieldList) =>
+  handleUpload(
+    fieldList,
+    (upload) => upload.fields(fieldList.map(({ name, maxCount = 1 }) => ({ name, maxCount }))),
+    () => ({})
+  );
+
+module.exports = {
+  single,
+  array,
+  fields,
+  sniffMimeType,
+  KINDS,
+  HEADER_LENGTH,
+};
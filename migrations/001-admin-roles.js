@@ -0,0 +1,26 @@
+// Gives every admin created before roles existed the owner role, so that
+// nobody loses access to the admin management routes.
+//
+// Usage: node migrations/001-admin-roles.js
+const mongoose = require("mongoose");
+const connectDB = require("../connectDB");
+const Admin = require("../models/Admin");
+
+const run = async () => {
+  await connectDB();
+
+  try {
+    const result = await Admin.updateMany(
+      { role: { $exists: false } },
+      { $set: { role: "owner" } }
+    );
+    console.log(`Promoted ${result.modifiedCount} existing admin(s) to owner`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
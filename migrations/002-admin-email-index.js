@@ -0,0 +1,53 @@
+// Normalizes admin emails (trimmed, lowercase) and builds the unique index
+// on Admin.email. Stops without touching the index if two admins share an
+// email, so the duplicates can be resolved by hand first.
+//
+// Usage: node migrations/002-admin-email-index.js
+const mongoose = require("mongoose");
+const connectDB = require("../connectDB");
+const Admin = require("../models/Admin");
+
+const run = async () => {
+  await connectDB();
+
+  try {
+    const admins = await Admin.collection
+      .find({}, { projection: { email: 1 } })
+      .toArray();
+
+    const byEmail = new Map();
+    for (const admin of admins) {
+      const email = String(admin.email).trim().toLowerCase();
+      byEmail.set(email, [...(byEmail.get(email) || []), admin._id]);
+    }
+
+    const duplicates = [...byEmail].filter(([, ids]) => ids.length > 1);
+    if (duplicates.length > 0) {
+      for (const [email, ids] of duplicates) {
+        console.error(`Duplicate email ${email}: ${ids.join(", ")}`);
+      }
+      process.exitCode = 1;
+      return;
+    }
+
+    let normalized = 0;
+    for (const admin of admins) {
+      const email = String(admin.email).trim().toLowerCase();
+      if (email !== admin.email) {
+        await Admin.collection.updateOne({ _id: admin._id }, { $set: { email } });
+        normalized++;
+      }
+    }
+    console.log(`Normalized ${normalized} admin email(s)`);
+
+    await Admin.syncIndexes();
+    console.log("Unique index on admin email is in place");
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
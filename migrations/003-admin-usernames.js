@@ -0,0 +1,52 @@
+// Gives every admin without a username one derived from their email
+// (jane.doe@example.com -> jane.doe), adding a number when it is taken, then
+// builds the unique index on Admin.username. Admins can keep logging in with
+// their email either way; this lets the dashboard's username field work too.
+//
+// Usage: node migrations/003-admin-usernames.js
+const mongoose = require("mongoose");
+const connectDB = require("../connectDB");
+const Admin = require("../models/Admin");
+
+const toUsername = (email) =>
+  String(email)
+    .split("@")[0]
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]/g, "") || "admin";
+
+const run = async () => {
+  await connectDB();
+
+  try {
+    const admins = await Admin.collection
+      .find({}, { projection: { email: 1, username: 1 } })
+      .toArray();
+
+    const taken = new Set(admins.filter((a) => a.username).map((a) => a.username));
+
+    let assigned = 0;
+    for (const admin of admins.filter((a) => !a.username)) {
+      const base = toUsername(admin.email);
+      let username = base;
+      for (let n = 2; taken.has(username); n++) {
+        username = `${base}${n}`;
+      }
+
+      taken.add(username);
+      await Admin.collection.updateOne({ _id: admin._id }, { $set: { username } });
+      console.log(`${admin.email} -> ${username}`);
+      assigned++;
+    }
+    console.log(`Assigned ${assigned} username(s)`);
+
+    await Admin.syncIndexes();
+    console.log("Unique index on admin username is in place");
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
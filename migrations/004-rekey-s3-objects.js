@@ -0,0 +1,117 @@
+// Moves S3 objects that were stored under their original file name (e.g.
+// `cover.jpg`) to unique keys under their owner's prefix
+// (`projects/<id>/images/<uuid>.jpg`, `projects/<id>/video/...`,
+// `partners/<id>/...`) and rewrites the stored URLs.
+//
+// Every document referencing a shared key gets its own copy, so deleting
+// one project no longer removes another project's image. The old keys are
+// only deleted once every document has been rewritten. Objects that were
+// already overwritten by a later upload with the same name cannot be
+// recovered; each referencing document keeps the current content.
+//
+// Usage: node migrations/004-rekey-s3-objects.js [--dry-run] [--keep-old]
+const mongoose = require("mongoose");
+const connectDB = require("../connectDB");
+const Project = require("../models/Project");
+const Partner = require("../models/Partners");
+const {
+  generateKey,
+  keyFromUrl,
+  copyFile,
+  deleteFile,
+} = require("../services/s3Service");
+
+const dryRun = process.argv.includes("--dry-run");
+const keepOld = process.argv.includes("--keep-old");
+
+const oldKeys = new Set();
+let failures = 0;
+
+/**
+ * Copies the object behind a URL to a unique key under `prefix`.
+ * @returns {Promise<string>} The new URL, or the original one if nothing changed.
+ */
+const rekey = async (url, prefix) => {
+  if (typeof url !== "string" || !url) {
+    return url;
+  }
+
+  const key = keyFromUrl(url);
+  if (key.startsWith(`${prefix}/`)) {
+    return url;
+  }
+
+  const newKey = generateKey(prefix, key);
+  const newUrl = new URL(url);
+  newUrl.pathname = `/${newKey}`;
+
+  console.log(`${dryRun ? "[dry run] " : ""}${key} -> ${newKey}`);
+  if (dryRun) {
+    return url;
+  }
+
+  try {
+    await copyFile(key, newKey);
+  } catch (error) {
+    console.error(`  could not copy ${key}: ${error.message}`);
+    failures++;
+    return url;
+  }
+
+  oldKeys.add(key);
+  return newUrl.toString();
+};
+
+const run = async () => {
+  await connectDB();
+
+  try {
+    // Raw collections: this runs against the URL-string documents that
+    // migrations/005-media-subdocuments.js later converts
+    for (const project of await Project.collection.find().toArray()) {
+      const images = [];
+      for (const url of project.images || []) {
+        images.push(await rekey(url, `projects/${project._id}/images`));
+      }
+      const video = await rekey(project.video, `projects/${project._id}/video`);
+
+      if (!dryRun) {
+        await Project.collection.updateOne(
+          { _id: project._id },
+          { $set: { images, video } }
+        );
+      }
+    }
+
+    for (const partner of await Partner.collection.find().toArray()) {
+      const imageUrl = await rekey(partner.imageUrl, `partners/${partner._id}`);
+
+      if (!dryRun) {
+        await Partner.collection.updateOne(
+          { _id: partner._id },
+          { $set: { imageUrl } }
+        );
+      }
+    }
+
+    if (failures > 0) {
+      console.error(`${failures} object(s) could not be copied; old keys were kept`);
+      process.exitCode = 1;
+      return;
+    }
+
+    if (!dryRun && !keepOld) {
+      for (const key of oldKeys) {
+        await deleteFile(key);
+      }
+      console.log(`Deleted ${oldKeys.size} old object(s)`);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
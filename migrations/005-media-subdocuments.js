@@ -0,0 +1,93 @@
+// Converts stored media URLs into media subdocuments (see models/Media.js):
+// Project.images and Project.video become { key, url, mimeType, size }, and
+// Partner.imageUrl becomes Partner.image. The key is parsed from the old URL,
+// the URL is rebuilt with s3Service.getFileUrl, and the type and size come
+// from storage. Run migrations/004-rekey-s3-objects.js first.
+//
+// Usage: node migrations/005-media-subdocuments.js [--dry-run]
+const mongoose = require("mongoose");
+const connectDB = require("../connectDB");
+const Project = require("../models/Project");
+const Partner = require("../models/Partners");
+const { getFileUrl, keyFromUrl, headFile } = require("../services/s3Service");
+
+const dryRun = process.argv.includes("--dry-run");
+
+/**
+ * Turns an old URL string into a media subdocument. Values that are not
+ * strings are assumed to be converted already and returned as they are.
+ */
+const toMedia = async (url) => {
+  if (typeof url !== "string" || !url) {
+    return url || null;
+  }
+
+  const key = keyFromUrl(url);
+  const media = {
+    _id: new mongoose.Types.ObjectId(),
+    key,
+    url: getFileUrl(key),
+  };
+
+  try {
+    const head = await headFile(key);
+    if (head) {
+      media.mimeType = head.contentType;
+      media.size = head.size;
+    } else {
+      console.error(`  ${key} does not exist in storage`);
+    }
+  } catch (error) {
+    console.error(`  could not read ${key} from storage: ${error.message}`);
+  }
+
+  return media;
+};
+
+const run = async () => {
+  await connectDB();
+
+  try {
+    let projects = 0;
+    for (const project of await Project.collection.find().toArray()) {
+      const images = [];
+      for (const image of project.images || []) {
+        images.push(await toMedia(image));
+      }
+      const video = await toMedia(project.video);
+
+      if (!dryRun) {
+        await Project.collection.updateOne(
+          { _id: project._id },
+          { $set: { images, video } }
+        );
+      }
+      projects++;
+    }
+    console.log(`${dryRun ? "[dry run] " : ""}Converted ${projects} project(s)`);
+
+    let partners = 0;
+    const legacyPartners = await Partner.collection
+      .find({ imageUrl: { $exists: true } })
+      .toArray();
+    for (const partner of legacyPartners) {
+      const image = await toMedia(partner.imageUrl);
+
+      if (!dryRun) {
+        await Partner.collection.updateOne(
+          { _id: partner._id },
+          { $set: { image }, $unset: { imageUrl: "" } }
+        );
+      }
+      partners++;
+    }
+    console.log(`${dryRun ? "[dry run] " : ""}Converted ${partners} partner(s)`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,86 @@
+// Adds the dimensions, dominant color and LQIP placeholder to images that
+// were uploaded before they were computed on upload. Each image is
+// downloaded from its URL, so the bucket (or CDN) must be reachable.
+//
+// Usage: node migrations/006-image-placeholders.js [--dry-run]
+const mongoose = require("mongoose");
+const connectDB = require("../connectDB");
+const Project = require("../models/Project");
+const Partner = require("../models/Partners");
+const { describeImage } = require("../services/imageProcessor");
+
+const dryRun = process.argv.includes("--dry-run");
+
+let failures = 0;
+
+const needsPlaceholder = (media) =>
+  media && media.mimeType && media.mimeType.startsWith("image/") && !media.lqip;
+
+/**
+ * Fills in the placeholder fields of a media subdocument. Returns whether
+ * it was changed.
+ */
+const addPlaceholder = async (media) => {
+  if (!needsPlaceholder(media)) {
+    return false;
+  }
+
+  try {
+    const response = await fetch(media.url);
+    if (!response.ok) {
+      throw new Error(`download failed with status ${response.status}`);
+    }
+    const content = Buffer.from(await response.arrayBuffer());
+    Object.assign(media, await describeImage(content));
+    return true;
+  } catch (error) {
+    console.error(`  could not process ${media.key}: ${error.message}`);
+    failures++;
+    return false;
+  }
+};
+
+const run = async () => {
+  await connectDB();
+
+  try {
+    let images = 0;
+    for (const project of await Project.find()) {
+      let changed = false;
+      for (const image of project.images) {
+        if (await addPlaceholder(image)) {
+          changed = true;
+          images++;
+        }
+      }
+
+      // Only the placeholder fields are validated, images may still lack
+      // the alt text added by 007-image-alt-text.js
+      if (changed && !dryRun) {
+        await project.save({ validateModifiedOnly: true });
+      }
+    }
+
+    for (const partner of await Partner.find()) {
+      if (await addPlaceholder(partner.image)) {
+        images++;
+        if (!dryRun) {
+          await partner.save();
+        }
+      }
+    }
+
+    console.log(`${dryRun ? "[dry run] " : ""}Added placeholders to ${images} image(s)`);
+    if (failures) {
+      console.error(`${failures} image(s) could not be processed, run again to retry them`);
+      process.exitCode = 1;
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,54 @@
+// Gives an alt text to the project images uploaded before it was required.
+// The text is made from the project title and location, e.g.
+// "Villa Rose, Beirut (image 2 of 5)"; editors should replace it with a
+// real description through PUT /api/projects/{id}/images/{imageId}.
+//
+// Usage: node migrations/007-image-alt-text.js [--dry-run]
+const mongoose = require("mongoose");
+const connectDB = require("../connectDB");
+const Project = require("../models/Project");
+
+const dryRun = process.argv.includes("--dry-run");
+
+const defaultAlt = (project, index) => {
+  const name = [project.title, project.location].filter(Boolean).join(", ");
+  const count = project.images.length;
+  return count > 1 ? `${name} (image ${index + 1} of ${count})` : name;
+};
+
+const run = async () => {
+  await connectDB();
+
+  try {
+    let images = 0;
+    // Raw collection: the model would refuse to load images without alt text
+    // into a document that is then saved
+    for (const project of await Project.collection.find().toArray()) {
+      const update = {};
+      (project.images || []).forEach((image, index) => {
+        if (!image.alt || !String(image.alt).trim()) {
+          update[`images.${index}.alt`] = defaultAlt(project, index);
+        }
+      });
+
+      const count = Object.keys(update).length;
+      if (!count) {
+        continue;
+      }
+      images += count;
+      console.log(`  ${project.title}: ${count} image(s)`);
+      if (!dryRun) {
+        await Project.collection.updateOne({ _id: project._id }, { $set: update });
+      }
+    }
+
+    console.log(`${dryRun ? "[dry run] " : ""}Added alt text to ${images} image(s)`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
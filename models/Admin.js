@@ -1,15 +1,67 @@
 const mongoose = require("mongoose");
 
+// The only fields that are ever sent to clients
+const PUBLIC_FIELDS = ["_id", "name", "username", "email", "role"];
+
 const adminSchema = new mongoose.Schema(
   {
     _id: { type: mongoose.Schema.Types.ObjectId, auto: true },
     name: { type: String, required: true },
-    email: { type: String, required: true },
-    password: { type: String, required: true },
+    // Optional login name; admins can always log in with their email instead
+    username: {
+      type: String,
+      unique: true,
+      sparse: true,
+      trim: true,
+      lowercase: true,
+      match: /^[a-z0-9._-]+$/,
+    },
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+    },
+    // Never loaded unless explicitly requested with .select("+password")
+    password: { type: String, required: true, select: false },
+    // owner: manages admins; editor: manages site content; viewer: read-only
+    role: {
+      type: String,
+      enum: ["owner", "editor", "viewer"],
+      default: "viewer",
+    },
+    // Hash of the pending password reset token, cleared once it is used
+    passwordResetTokenHash: { type: String, select: false },
+    passwordResetExpiresAt: { type: Date, select: false },
   },
-  { collection: "admin", versionKey: false }
+  {
+    collection: "admin",
+    versionKey: false,
+    toJSON: {
+      transform: (doc, ret) => toPublicAdmin(ret),
+    },
+  }
 );
 
+/**
+ * Builds the client-facing representation of an admin. Anything not listed
+ * in PUBLIC_FIELDS, such as the password hash, is dropped.
+ * @param {object} admin - An admin document or plain object.
+ * @returns {object}
+ */
+function toPublicAdmin(admin) {
+  return PUBLIC_FIELDS.reduce((result, field) => {
+    if (admin[field] !== undefined) {
+      result[field] = admin[field];
+    }
+    return result;
+  }, {});
+}
+
+adminSchema.statics.publicFields = PUBLIC_FIELDS.join(" ");
+adminSchema.statics.toPublic = toPublicAdmin;
+
 const Admin = mongoose.model("Admin", adminSchema);
 
 module.exports = Admin;
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+const contactMessageSchema = new mongoose.Schema(
+  {
+    _id: { type: mongoose.Schema.Types.ObjectId, auto: true },
+    name: { type: String, required: true, trim: true },
+    email: { type: String, required: true, trim: true },
+    subject: { type: String, required: true, trim: true },
+    message: { type: String, required: true },
+    // Inbox state, managed from the dashboard
+    status: {
+      type: String,
+      enum: ["unread", "read", "archived", "spam"],
+      default: "unread",
+    },
+    // Whether the notification email reached the recipients; "skipped"
+    // for messages held as spam
+    deliveryStatus: {
+      type: String,
+      enum: ["pending", "sent", "failed", "skipped"],
+      default: "pending",
+    },
+    deliveryError: { type: String },
+    deliveryAttempts: { type: Number, default: 0 },
+    deliveredAt: { type: Date },
+    // The outbound mail job that sends the notification
+    emailJob: { type: mongoose.Schema.Types.ObjectId, ref: "Job" },
+    // Result of services/spamFilter.js
+    spamScore: { type: Number, default: 0 },
+    spamReasons: { type: [String], default: [] },
+  },
+  { collection: "contactMessages", versionKey: false, timestamps: true }
+);
+
+contactMessageSchema.index({ status: 1, createdAt: -1 });
+
+const ContactMessage = mongoose.model("ContactMessage", contactMessageSchema);
+
+module.exports = ContactMessage;
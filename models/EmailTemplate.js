@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// Admin-edited email template. Built-in templates (see
+// services/defaultEmailTemplates.js) are used until a document with the
+// same name overrides them.
+const emailTemplateSchema = new mongoose.Schema(
+  {
+    _id: { type: mongoose.Schema.Types.ObjectId, auto: true },
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      match: /^[a-z0-9-]+$/,
+    },
+    description: { type: String },
+    subject: { type: String, required: true },
+    html: { type: String, required: true },
+    text: { type: String, required: true },
+  },
+  { collection: "emailTemplates", versionKey: false, timestamps: true }
+);
+
+const EmailTemplate = mongoose.model("EmailTemplate", emailTemplateSchema);
+
+module.exports = EmailTemplate;
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// A unit of background work picked up by the in-process worker in
+// services/jobQueue.js. `type` selects the handler, `payload` is its input.
+const jobSchema = new mongoose.Schema(
+  {
+    _id: { type: mongoose.Schema.Types.ObjectId, auto: true },
+    type: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "completed", "failed"],
+      default: "pending",
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    // When the job may next be picked up
+    runAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    completedAt: { type: Date, default: null },
+  },
+  { collection: "jobs", versionKey: false, timestamps: true }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+
+const Job = mongoose.model("Job", jobSchema);
+
+module.exports = Job;
@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// Failed login counters, keyed by account ("account:<login>") or by client
+// IP ("ip:<address>"). Kept in MongoDB so lockouts hold across restarts and
+// across every instance of the API.
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    _id: { type: mongoose.Schema.Types.ObjectId, auto: true },
+    key: { type: String, required: true, unique: true },
+    failures: { type: Number, default: 0 },
+    lockedUntil: { type: Date, default: null },
+    lastFailureAt: { type: Date, required: true },
+  },
+  { collection: "loginAttempts", versionKey: false }
+);
+
+// Forget counters a day after the last failure
+loginAttemptSchema.index({ lastFailureAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+module.exports = LoginAttempt;
@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+
+// A stored rendition of a file: a resized copy of an image, its thumbnail,
+// or a transcoded copy of a video
+const variantSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    url: { type: String, required: true },
+    mimeType: { type: String },
+    size: { type: Number },
+    width: { type: Number },
+    height: { type: Number },
+  },
+  { _id: false }
+);
+
+// Fields of a stored image, or of any stored file when only `key` and `url`
+// apply. Images carry their responsive renditions and a thumbnail (see
+// services/imageProcessor.js).
+const fileFields = {
+  key: { type: String, required: true },
+  url: { type: String, required: true },
+  mimeType: { type: String },
+  size: { type: Number },
+  width: { type: Number },
+  height: { type: Number },
+  // Shown while an image loads: a solid `#rrggbb` color, and a tiny
+  // blurred copy as a data URI
+  dominantColor: { type: String },
+  lqip: { type: String },
+  variants: { type: [variantSchema], default: undefined },
+  thumbnail: { type: variantSchema },
+};
+
+// The renditions grouped by type, ready for <picture><source> elements:
+// [{ type: "image/avif", srcset: "<url> 320w, <url> 640w" }, ...]
+function sources() {
+  if (!this.variants || !this.variants.length) {
+    return undefined;
+  }
+
+  const grouped = [];
+  for (const variant of this.variants) {
+    let source = grouped.find((candidate) => candidate.type === variant.mimeType);
+    if (!source) {
+      source = { type: variant.mimeType, srcset: [] };
+      grouped.push(source);
+    }
+    source.srcset.push(`${variant.url} ${variant.width}w`);
+  }
+
+  return grouped.map(({ type, srcset }) => ({ type, srcset: srcset.join(", ") }));
+}
+
+const schemaOptions = { versionKey: false, id: false, toJSON: { virtuals: true } };
+
+// The poster frame of a video, stored like any uploaded image
+const posterSchema = new mongoose.Schema(fileFields, { ...schemaOptions, _id: false });
+posterSchema.virtual("sources").get(sources);
+
+// An uploaded file stored in S3. `key` is the source of truth for deletes;
+// `url` is built from it by s3Service.getFileUrl. Videos are transcoded in
+// the background (see services/videoTranscoder.js): `status` tells whether
+// `mp4`, `hls`, `poster` and `duration` are there yet.
+const mediaSchema = new mongoose.Schema(
+  {
+    _id: { type: mongoose.Schema.Types.ObjectId, auto: true },
+    ...fileFields,
+    status: { type: String, enum: ["processing", "ready", "failed"] },
+    processingError: { type: String },
+    // In seconds
+    duration: { type: Number },
+    // H.264/AAC copy playable in every browser
+    mp4: { type: variantSchema },
+    // Master playlist of the adaptive HLS renditions
+    hls: { type: variantSchema },
+    poster: { type: posterSchema },
+  },
+  schemaOptions
+);
+mediaSchema.virtual("sources").get(sources);
+
+module.exports = mediaSchema;
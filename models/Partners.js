@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const mediaSchema = require("./Media");
+const softDelete = require("./softDelete");
 
 const PartnerSchema = new mongoose.Schema(
   {
@@ -6,9 +8,11 @@ const PartnerSchema = new mongoose.Schema(
     fullName: { type: String, required: true },
     quote: { type: String },
     description: { type: String, required: true },
-    imageUrl: { type: String, required: true },
+    image: { type: mediaSchema, required: true },
   },
   { collection: "partners", versionKey: false }
 );
 
+PartnerSchema.plugin(softDelete);
+
 module.exports = mongoose.model("Partner", PartnerSchema);
@@ -1,4 +1,14 @@
 const mongoose = require("mongoose");
+const mediaSchema = require("./Media");
+const softDelete = require("./softDelete");
+
+// An image of the project gallery. Every image needs an alt text for
+// screen readers; the caption is shown under it.
+const galleryImageSchema = mediaSchema.clone();
+galleryImageSchema.add({
+  alt: { type: String, required: true, trim: true },
+  caption: { type: String, trim: true },
+});
 
 const projectSchema = new mongoose.Schema(
   {
@@ -22,20 +32,50 @@ const projectSchema = new mongoose.Schema(
       type: String,
       required: false,
     },
+    // In display order
     images: {
-      type: [String],
+      type: [galleryImageSchema],
       required: true,
     },
+    // The `_id` of the image shown for the project in listings
+    coverImageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: false,
+      default: null,
+    },
     video: {
-      type: String,
+      type: mediaSchema,
       required: false,
+      default: null,
     },
   },
   {
     versionKey: false,
+    id: false,
+    toJSON: { virtuals: true },
   }
 );
 
+// The designated cover image, or the first image when none is designated
+projectSchema.virtual("cover").get(function () {
+  const designated =
+    this.coverImageId &&
+    this.images.find((image) => image._id.equals(this.coverImageId));
+  return designated || this.images[0] || null;
+});
+
+// Forget the cover once its image is removed from the gallery
+projectSchema.pre("validate", function () {
+  if (
+    this.coverImageId &&
+    !this.images.some((image) => image._id.equals(this.coverImageId))
+  ) {
+    this.coverImageId = null;
+  }
+});
+
+projectSchema.plugin(softDelete);
+
 // Create the Project model
 const Project = mongoose.model("Project", projectSchema);
 
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Request counter for one client in one fixed time window, used by
+// middleware/rateLimit.js. Stored in MongoDB so limits are shared by every
+// instance of the API.
+const rateLimitCounterSchema = new mongoose.Schema(
+  {
+    _id: { type: mongoose.Schema.Types.ObjectId, auto: true },
+    key: { type: String, required: true, unique: true },
+    count: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true },
+  },
+  { collection: "rateLimits", versionKey: false }
+);
+
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model("RateLimitCounter", rateLimitCounterSchema);
+
+module.exports = RateLimitCounter;
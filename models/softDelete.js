@@ -0,0 +1,38 @@
+// Schema plugin for documents whose stored media must be gone before the
+// document itself. Deleting such a document only sets `deletedAt`; from
+// then on it is left out of every query that does not filter on
+// `deletedAt` itself, until services/mediaCleanup.js has removed its media
+// from storage and then the document. `deletedAt` is internal and left
+// out of the JSON sent to clients.
+const QUERIES = [
+  "countDocuments",
+  "find",
+  "findOne",
+  "findOneAndDelete",
+  "findOneAndUpdate",
+  "updateMany",
+  "updateOne",
+];
+
+function softDelete(schema) {
+  schema.add({ deletedAt: { type: Date, default: null } });
+
+  const toJSON = schema.get("toJSON") || {};
+  schema.set("toJSON", {
+    ...toJSON,
+    transform(document, json, options) {
+      delete json.deletedAt;
+      return typeof toJSON.transform === "function"
+        ? toJSON.transform(document, json, options)
+        : json;
+    },
+  });
+
+  schema.pre(QUERIES, function () {
+    if (!("deletedAt" in this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  });
+}
+
+module.exports = softDelete;
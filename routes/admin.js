@@ -1,13 +1,80 @@
 const express = require("express");
 const Admin = require("../models/Admin");
+const {
+  hashPassword,
+  isPasswordHash,
+  verifyPassword,
+  signAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+  validatePassword,
+  createPasswordResetToken,
+  passwordResetFilter,
+  PASSWORD_RESET_TTL_MINUTES,
+} = require("../services/authService");
+const { sendMail } = require("../services/mailService");
+const {
+  attemptKeys,
+  getLockoutRemaining,
+  recordFailure,
+  recordSuccess,
+} = require("../services/loginThrottle");
+const { requireRole } = require("../middleware/auth");
 const router = express.Router();
 
+const ROLES = Admin.schema.path("role").enumValues;
+
+/**
+ * Checks whether removing the owner role from the given admin would leave
+ * the site without any owner.
+ * @param {object} admin - The admin about to be deleted or demoted.
+ * @returns {Promise<boolean>}
+ */
+const isLastOwner = async (admin) => {
+  if (admin.role !== "owner") {
+    return false;
+  }
+  const owners = await Admin.countDocuments({ role: "owner" });
+  return owners <= 1;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Admin:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         username:
+ *           type: string
+ *         email:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [owner, editor, viewer]
+ */
+
 /**
  * @swagger
  * /api/admin/getAdmin:
  *   get:
  *     summary: Get all admins
  *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [owner, editor, viewer]
+ *         description: Only return admins with this role
  *     responses:
  *       200:
  *         description: A list of admins
@@ -16,33 +83,59 @@ const router = express.Router();
  *             schema:
  *               type: array
  *               items:
- *                 type: object
- *                 properties:
- *                   name:
- *                     type: string
- *                   email:
- *                     type: string
- *                   password:
- *                     type: string
- *
+ *                 $ref: '#/components/schemas/Admin'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Server error
  */
 router.get("/getAdmin", async (req, res) => {
   try {
-    const admins = await Admin.find();
-    res.status(200).json(admins);
+    const filter = ROLES.includes(req.query.role) ? { role: req.query.role } : {};
+    const admins = await Admin.find(filter)
+      .select(Admin.publicFields)
+      .sort({ name: 1 })
+      .lean();
+    res.status(200).json(admins.map(Admin.toPublic));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+/**
+ * @swagger
+ * /api/admin/me:
+ *   get:
+ *     summary: Get the currently logged in admin
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The current admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Admin'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get("/me", (req, res) => {
+  res.status(200).json(req.admin);
+});
+
 /**
  * @swagger
  * /api/admin/addAdmin:
  *   post:
- *     summary: Add a new admin
+ *     summary: Add a new admin (owners only)
  *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -52,46 +145,75 @@ router.get("/getAdmin", async (req, res) => {
  *             properties:
  *               name:
  *                 type: string
+ *               username:
+ *                 type: string
+ *                 description: Optional login name (letters, digits, ".", "_" and "-")
  *               email:
  *                 type: string
  *               password:
  *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [owner, editor, viewer]
+ *                 default: viewer
  *     responses:
  *       201:
  *         description: Admin added successfully
+ *       400:
+ *         description: Invalid input or an admin with this email or username already exists
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Server error
  */
-router.post("/addAdmin", async (req, res) => {
-  const { name, email, password } = req.body;
+router.post("/addAdmin", requireRole("owner"), async (req, res) => {
+  const { name, username, email, password, role } = req.body;
 
   // Validate request body
   if (!name || !email || !password) {
     return res.status(400).json({ message: "All fields are required" });
   }
 
-  try {
-    // Check if an admin with the same email already exists
-    const existingAdmin = await Admin.findOne({ email });
-    if (existingAdmin) {
-      return res
-        .status(400)
-        .json({ message: "Admin with this email already exists" });
-    }
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    return res.status(400).json({ message: passwordError });
+  }
+
+  if (role !== undefined && !ROLES.includes(role)) {
+    return res
+      .status(400)
+      .json({ message: `role must be one of: ${ROLES.join(", ")}` });
+  }
 
-    // Create a new Admin document
+  try {
+    // Create a new Admin document with a hashed password
     const newAdmin = new Admin({
       name,
+      username: username || undefined,
       email,
-      password,
+      password: await hashPassword(password),
+      role,
     });
 
     // Save the new Admin to the database
     await newAdmin.save();
 
     // Return success response
-    res.status(201).json({ message: "Admin added successfully" });
+    res
+      .status(201)
+      .json({ message: "Admin added successfully", admin: newAdmin });
   } catch (error) {
+    // The unique indexes on email and username reject duplicates
+    if (error.code === 11000) {
+      return res
+        .status(400)
+        .json({ message: "Admin with this email or username already exists" });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: error.message });
   }
 });
@@ -100,8 +222,10 @@ router.post("/addAdmin", async (req, res) => {
  * @swagger
  * /api/admin/{id}:
  *   delete:
- *     summary: Delete an admin by ID
+ *     summary: Delete an admin by ID (owners only)
  *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -114,29 +238,205 @@ router.post("/addAdmin", async (req, res) => {
  *         description: Admin deleted successfully
  *       404:
  *         description: Admin not found
+ *       409:
+ *         description: The last owner cannot be deleted
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Server error
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requireRole("owner"), async (req, res) => {
   try {
     const { id } = req.params;
-    const admin = await Admin.findByIdAndDelete(id);
+    const admin = await Admin.findById(id);
 
     if (!admin) {
       return res.status(404).json({ message: "Admin not found" });
     }
 
+    if (await isLastOwner(admin)) {
+      return res
+        .status(409)
+        .json({ message: "The last owner cannot be deleted" });
+    }
+
+    await Admin.findByIdAndDelete(id);
+
+    // End any sessions the deleted admin still has open
+    await revokeAllRefreshTokens(admin._id);
+
     res.status(200).json({ message: "Admin deleted successfully" });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+/**
+ * @swagger
+ * /api/admin/{id}:
+ *   put:
+ *     summary: Update an admin profile (the admin themselves, or an owner)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The admin ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               username:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The updated admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Admin'
+ *       400:
+ *         description: Invalid input or an admin with this email or username already exists
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Admin not found
+ *       500:
+ *         description: Server error
+ */
+router.put("/:id", async (req, res) => {
+  const { id } = req.params;
+  const { name, username, email } = req.body;
+
+  // Admins may edit their own profile; only owners may edit someone else's
+  if (req.admin._id.toString() !== id && req.admin.role !== "owner") {
+    return res
+      .status(403)
+      .json({ message: "You do not have permission to perform this action" });
+  }
+
+  if (name === "" || email === "") {
+    return res.status(400).json({ message: "name and email cannot be empty" });
+  }
+
+  try {
+    const admin = await Admin.findById(id);
+    if (!admin) {
+      return res.status(404).json({ message: "Admin not found" });
+    }
+
+    // Update fields only if provided in the request body
+    if (name !== undefined) admin.name = name;
+    if (username !== undefined) admin.username = username || undefined;
+    if (email !== undefined) admin.email = email;
+
+    const updatedAdmin = await admin.save();
+    res.status(200).json(updatedAdmin);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(400)
+        .json({ message: "Admin with this email or username already exists" });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/{id}/role:
+ *   put:
+ *     summary: Change the role of an admin (owners only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The admin ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, editor, viewer]
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Invalid role
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Admin not found
+ *       409:
+ *         description: The last owner cannot be demoted
+ *       500:
+ *         description: Server error
+ */
+router.put("/:id/role", requireRole("owner"), async (req, res) => {
+  const { id } = req.params;
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return res
+      .status(400)
+      .json({ message: `role must be one of: ${ROLES.join(", ")}` });
+  }
+
+  try {
+    const admin = await Admin.findById(id);
+    if (!admin) {
+      return res.status(404).json({ message: "Admin not found" });
+    }
+
+    if (role !== "owner" && (await isLastOwner(admin))) {
+      return res
+        .status(409)
+        .json({ message: "The last owner cannot be demoted" });
+    }
+
+    admin.role = role;
+    await admin.save();
+
+    res.status(200).json({ message: "Role updated successfully", role });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/admin/loginAdmin:
  *   post:
- *     summary: Check if a user is an admin
+ *     summary: Log in as an admin
  *     tags: [Admin]
  *     requestBody:
  *       required: true
@@ -145,39 +445,395 @@ router.delete("/:id", async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
+ *               email:
+ *                 type: string
+ *                 example: "admin@example.com"
  *               username:
  *                 type: string
+ *                 description: Can be sent instead of email. A value containing "@" is treated as an email.
  *                 example: "admin"
  *               password:
  *                 type: string
  *                 example: "adminpassword"
  *     responses:
  *       200:
- *         description: User is an admin
+ *         description: Login successful, returns an access token and a refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 accessToken:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 admin:
+ *                   $ref: '#/components/schemas/Admin'
  *       401:
- *         description: Invalid credentials
+ *         description: Invalid credentials, or too many failed attempts (see the Retry-After header)
  *       500:
  *         description: Server error
  */
 router.post("/loginAdmin", async (req, res) => {
-  const { username, password } = req.body;
+  const { email, username, password } = req.body;
+  const login = email || username;
 
-  // Validate request body
-  if (!username || !password) {
+  // Validate request body. Both must be strings so that query operators
+  // such as { "$ne": null } can never reach the lookup below.
+  if (
+    typeof login !== "string" ||
+    typeof password !== "string" ||
+    !login ||
+    !password
+  ) {
     return res
       .status(400)
-      .json({ message: "username and password are required" });
+      .json({ message: "email (or username) and password are required" });
   }
 
+  const keys = attemptKeys(login, req.ip);
+
   try {
-    const admin = await Admin.findOne({ username });
+    // Locked out accounts get the same answer as wrong credentials
+    const lockedFor = await getLockoutRemaining(keys);
+    if (lockedFor > 0) {
+      res.set("Retry-After", String(Math.ceil(lockedFor / 1000)));
+      return res.status(401).json({ message: "Invalid credentials" });
+    }
+
+    const filter = login.includes("@") ? { email: login } : { username: login };
+    const admin = await Admin.findOne(filter).select("+password");
 
     // Check if the admin exists and the password matches
-    if (admin && admin.password === password) {
-      return res.status(200).json({ message: "User is an admin" });
-    } else {
+    if (!(await verifyPassword(password, admin && admin.password))) {
+      await recordFailure(keys);
       return res.status(401).json({ message: "Invalid credentials" });
     }
+
+    await recordSuccess(keys);
+
+    // Upgrade admins that still have a plaintext password
+    if (!isPasswordHash(admin.password)) {
+      admin.password = await hashPassword(password);
+      await admin.save();
+    }
+
+    const accessToken = signAccessToken(admin);
+    const refreshToken = await issueRefreshToken(admin);
+
+    res.status(200).json({
+      accessToken,
+      refreshToken,
+      admin,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/refreshToken:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: A new access token and refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 accessToken:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *       400:
+ *         description: Refresh token is required
+ *       401:
+ *         description: Invalid or expired refresh token
+ *       500:
+ *         description: Server error
+ */
+router.post("/refreshToken", async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ message: "refreshToken is required" });
+  }
+
+  try {
+    const rotated = await rotateRefreshToken(refreshToken);
+    if (!rotated) {
+      return res
+        .status(401)
+        .json({ message: "Invalid or expired refresh token" });
+    }
+
+    // The admin may have been deleted since the token was issued
+    const admin = await Admin.findById(rotated.adminId);
+    if (!admin) {
+      await revokeRefreshToken(rotated.refreshToken);
+      return res
+        .status(401)
+        .json({ message: "Invalid or expired refresh token" });
+    }
+
+    res.status(200).json({
+      accessToken: signAccessToken(admin),
+      refreshToken: rotated.refreshToken,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/logout:
+ *   post:
+ *     summary: Revoke a refresh token
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *               allSessions:
+ *                 type: boolean
+ *                 description: Also revoke every other session of the same admin
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       400:
+ *         description: Refresh token is required
+ *       500:
+ *         description: Server error
+ */
+router.post("/logout", async (req, res) => {
+  const { refreshToken, allSessions } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ message: "refreshToken is required" });
+  }
+
+  try {
+    const revoked = await revokeRefreshToken(refreshToken);
+
+    if (revoked && allSessions) {
+      await revokeAllRefreshTokens(revoked.admin);
+    }
+
+    res.status(200).json({ message: "Logged out successfully" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Emails a password reset link to the admin with the given email, if any.
+ * @param {string} email
+ * @returns {Promise<void>}
+ */
+async function sendPasswordResetEmail(email) {
+  const admin = await Admin.findOne({ email });
+  if (!admin) {
+    return;
+  }
+
+  const token = createPasswordResetToken(admin);
+  await admin.save();
+
+  const resetUrl = `${process.env.PASSWORD_RESET_URL}?token=${token}`;
+  await sendMail({
+    to: admin.email,
+    subject: "Reset your 360 Production admin password",
+    text:
+      `Hi ${admin.name},\n\n` +
+      `Use the link below to choose a new password. ` +
+      `It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.\n\n` +
+      `${resetUrl}\n\n` +
+      `If you did not ask for a password reset, you can ignore this email.`,
+  });
+}
+
+/**
+ * @swagger
+ * /api/admin/forgot-password:
+ *   post:
+ *     summary: Email a password reset link to an admin
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: A reset link was sent if an admin with this email exists
+ *       400:
+ *         description: Email is required
+ */
+router.post("/forgot-password", async (req, res) => {
+  const { email } = req.body;
+
+  if (!email || typeof email !== "string") {
+    return res.status(400).json({ message: "email is required" });
+  }
+
+  // Answered before the account is even looked up, so that neither the
+  // answer nor its timing tells whether it exists
+  res.status(200).json({
+    message: "If an admin with this email exists, a reset link has been sent",
+  });
+
+  try {
+    await sendPasswordResetEmail(email);
+  } catch (error) {
+    console.error("Could not send the password reset email:", error.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired reset token, or invalid password
+ *       500:
+ *         description: Server error
+ */
+router.post("/reset-password", async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ message: "token is required" });
+  }
+
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    return res.status(400).json({ message: passwordError });
+  }
+
+  try {
+    // Consume the token and set the password in one step so it cannot be reused
+    const admin = await Admin.findOneAndUpdate(passwordResetFilter(token), {
+      $set: { password: await hashPassword(password) },
+      $unset: { passwordResetTokenHash: "", passwordResetExpiresAt: "" },
+    });
+
+    if (!admin) {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired reset token" });
+    }
+
+    // Whoever knew the old password should not stay logged in
+    await revokeAllRefreshTokens(admin._id);
+
+    res.status(200).json({ message: "Password reset successfully" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/change-password:
+ *   post:
+ *     summary: Change the password of the logged in admin
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed, returns a new access token and refresh token
+ *       400:
+ *         description: Current password is incorrect or the new password is invalid
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Server error
+ */
+router.post("/change-password", async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword) {
+    return res.status(400).json({ message: "currentPassword is required" });
+  }
+
+  const passwordError = validatePassword(newPassword);
+  if (passwordError) {
+    return res.status(400).json({ message: passwordError });
+  }
+
+  try {
+    const admin = await Admin.findById(req.admin._id).select("+password");
+
+    if (!(await verifyPassword(currentPassword, admin.password))) {
+      return res
+        .status(400)
+        .json({ message: "Current password is incorrect" });
+    }
+
+    admin.password = await hashPassword(newPassword);
+    await admin.save();
+
+    // Log out every other session and start a fresh one for this client
+    await revokeAllRefreshTokens(admin._id);
+
+    res.status(200).json({
+      message: "Password changed successfully",
+      accessToken: signAccessToken(admin),
+      refreshToken: await issueRefreshToken(admin),
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
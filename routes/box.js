@@ -38,6 +38,8 @@ router.get("/getBoxDescription", async (req, res) => {
  *   put:
  *     summary: Update the box description
  *     tags: [Box]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -57,6 +59,10 @@ router.get("/getBoxDescription", async (req, res) => {
  *               properties:
  *                 description:
  *                   type: string
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Server error
  */
@@ -1,7 +1,29 @@
 const express = require('express');
-const nodemailer = require('nodemailer');
+const ContactMessage = require('../models/ContactMessage');
+const EmailTemplate = require('../models/EmailTemplate');
+const { queueContactNotification } = require('../services/contactMailer');
+const { scoreSubmission } = require('../services/spamFilter');
+const {
+    isDefaultTemplate,
+    listTemplates,
+    getTemplate,
+    renderTemplate,
+} = require('../services/templateService');
+const rateLimit = require('../middleware/rateLimit');
+const {
+    validateContactForm,
+    requireChallenge,
+    rejectHoneypot,
+} = require('../middleware/contactForm');
 const router = express.Router();
 
+// Per-IP limit on contact form submissions
+const contactRateLimit = rateLimit({
+    name: 'contact',
+    windowMs: (Number(process.env.CONTACT_RATE_LIMIT_WINDOW_MINUTES) || 60) * 60 * 1000,
+    max: Number(process.env.CONTACT_RATE_LIMIT_MAX) || 5,
+});
+
 /**
  * @swagger
  * /api/email/send-email:
@@ -15,59 +37,425 @@ const router = express.Router();
  *           schema:
  *             type: object
  *             properties:
- *               senderEmail:
+ *               name:
  *                 type: string
- *                 description: Email address of the sender
- *               senderPassword:
+ *                 description: Name of the visitor
+ *               email:
  *                 type: string
- *                 description: Password of the sender email account
+ *                 description: Email address of the visitor, used as the reply-to address
  *               subject:
  *                 type: string
  *                 description: Subject of the email
  *               message:
  *                 type: string
  *                 description: The message the user wants to send
+ *               website:
+ *                 type: string
+ *                 description: Honeypot field. Keep it hidden and empty; submissions that fill it in are dropped.
+ *               challengeToken:
+ *                 type: string
+ *                 description: Challenge widget token, required when a challenge secret is configured
  *     responses:
- *       200:
- *         description: Email sent successfully
+ *       202:
+ *         description: Message saved to the inbox and queued for delivery
+ *       400:
+ *         description: Invalid fields or failed challenge
+ *       429:
+ *         description: Too many submissions from this IP, see the Retry-After header
  *       500:
  *         description: Internal server error
+ *       503:
+ *         description: The challenge token could not be verified
  */
-router.post('/send-email', (req, res) => {
-    const { senderEmail, senderPassword, subject, message } = req.body;
-
-    // Determine email service based on sender's email domain
-    let service = '';
-    if (senderEmail.includes('gmail.com')) {
-        service = 'Gmail';
-    } else if (senderEmail.includes('outlook.com') || senderEmail.includes('hotmail.com') || senderEmail.includes('lau.edu')) {
-        service = 'Outlook';
-    } else {
-        return res.status(400).send('Unsupported email provider');
+router.post(
+    '/send-email',
+    contactRateLimit,
+    rejectHoneypot,
+    validateContactForm,
+    requireChallenge,
+    async (req, res) => {
+        const { name, email, subject, message } = req.body;
+        const spam = scoreSubmission({ name, email, subject, message });
+
+        let contactMessage;
+        try {
+            // Store the message first so it is never lost, whatever happens to the email
+            contactMessage = await ContactMessage.create({
+                name,
+                email,
+                subject,
+                message,
+                ...(spam.isSpam && {
+                    status: 'spam',
+                    deliveryStatus: 'skipped',
+                }),
+                spamScore: spam.score,
+                spamReasons: spam.reasons,
+            });
+        } catch (error) {
+            console.error('Error saving contact message:', error);
+            return res.status(500).json({ message: 'Failed to save message' });
+        }
+
+        // Likely spam stays in the inbox's spam folder and is not emailed
+        if (spam.isSpam) {
+            return res.status(202).json({ message: 'Message received' });
+        }
+
+        try {
+            // The email itself is sent, and retried if needed, by the job worker
+            await queueContactNotification(contactMessage);
+        } catch (error) {
+            // The notification was not queued, see queueContactNotification.
+            // The message is in the inbox; an admin can re-send it from there
+            console.error('Error queueing contact email:', error);
+            await ContactMessage.updateOne(
+                { _id: contactMessage._id },
+                { deliveryStatus: 'failed', deliveryError: error.message }
+            ).catch(() => {});
+        }
+
+        res.status(202).json({ message: 'Message received' });
     }
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EmailTemplate:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Lowercase letters, digits and dashes
+ *         description:
+ *           type: string
+ *         subject:
+ *           type: string
+ *         html:
+ *           type: string
+ *           description: HTML variant. {{placeholders}} are HTML-escaped.
+ *         text:
+ *           type: string
+ *           description: Plain-text variant
+ *         isDefault:
+ *           type: boolean
+ *           description: True when the built-in version is in use
+ *         overridesDefault:
+ *           type: boolean
+ *           description: True when an edited copy replaces a built-in template
+ */
 
-    // Setup Nodemailer with the selected service
-    const transporter = nodemailer.createTransport({
-        service: service,  // Dynamically chosen based on the sender email
-        auth: {
-            user: senderEmail,      // Sender's email
-            pass: senderPassword,   // Sender's email password (or app password)
-        },
-    });
-
-    const mailOptions = {
-        from: senderEmail,  // The email of the sender
-        to: 'chloe.boueiri@lau.edu',  // Predefined receiver email
-        subject: subject,  // Subject from the request body
-        text: message,     // Message from the request body
-    };
-
-    transporter.sendMail(mailOptions, (error, info) => {
-        if (error) {
-            return res.status(500).send(error.toString());
+/**
+ * @swagger
+ * /api/email/templates:
+ *   get:
+ *     summary: List email templates
+ *     description: Built-in templates are contact-notification (to the site team) and contact-auto-reply (to the visitor). Templates can use {{siteName}} and {{year}}, plus {{name}}, {{email}}, {{subject}} and {{message}} for contact-notification. The auto-reply gets nothing the visitor typed, so the form cannot be used to mail arbitrary text to others.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: A list of templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/EmailTemplate'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Server error
+ */
+router.get('/templates', async (req, res) => {
+    try {
+        res.status(200).json(await listTemplates());
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/email/templates/{name}:
+ *   get:
+ *     summary: Get an email template by name
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The template name
+ *     responses:
+ *       200:
+ *         description: The template
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EmailTemplate'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Template not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/templates/:name', async (req, res) => {
+    try {
+        const template = await getTemplate(req.params.name);
+        if (!template) {
+            return res.status(404).json({ message: 'Template not found' });
+        }
+        res.status(200).json(template);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/email/templates:
+ *   post:
+ *     summary: Create an email template
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               subject:
+ *                 type: string
+ *               html:
+ *                 type: string
+ *               text:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Template created
+ *       400:
+ *         description: Invalid input or a template with this name already exists
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Server error
+ */
+router.post('/templates', async (req, res) => {
+    const { name, description, subject, html, text } = req.body;
+
+    if (isDefaultTemplate(name)) {
+        return res.status(400).json({
+            message: 'A built-in template with this name exists, update it with PUT instead',
+        });
+    }
+
+    try {
+        const template = await EmailTemplate.create({ name, description, subject, html, text });
+        res.status(201).json(template);
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'A template with this name already exists' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
         }
-        res.status(200).send('Email sent successfully');
-    });
+        res.status(500).json({ message: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/email/templates/{name}:
+ *   put:
+ *     summary: Update an email template
+ *     description: Updating a built-in template stores an edited copy that is used from then on.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The template name
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               subject:
+ *                 type: string
+ *               html:
+ *                 type: string
+ *               text:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The updated template
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Template not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/templates/:name', async (req, res) => {
+    const { name } = req.params;
+
+    try {
+        // Start from the stored copy, or from the built-in version
+        let template = await EmailTemplate.findOne({ name });
+        if (!template) {
+            const current = await getTemplate(name);
+            if (!current) {
+                return res.status(404).json({ message: 'Template not found' });
+            }
+            template = new EmailTemplate({
+                name,
+                description: current.description,
+                subject: current.subject,
+                html: current.html,
+                text: current.text,
+            });
+        }
+
+        // Update fields only if provided in the request body
+        for (const field of ['description', 'subject', 'html', 'text']) {
+            if (req.body[field] !== undefined) template[field] = req.body[field];
+        }
+
+        const savedTemplate = await template.save();
+        res.status(200).json(savedTemplate);
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/email/templates/{name}:
+ *   delete:
+ *     summary: Delete an email template
+ *     description: Deleting an edited built-in template restores the built-in version.
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The template name
+ *     responses:
+ *       200:
+ *         description: Template deleted
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: No stored template with this name
+ *       500:
+ *         description: Server error
+ */
+router.delete('/templates/:name', async (req, res) => {
+    const { name } = req.params;
+
+    try {
+        const template = await EmailTemplate.findOneAndDelete({ name });
+        if (!template) {
+            return res.status(404).json({ message: 'Template not found' });
+        }
+
+        res.status(200).json({
+            message: isDefaultTemplate(name)
+                ? 'Template restored to the built-in version'
+                : 'Template deleted successfully',
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/email/templates/{name}/preview:
+ *   post:
+ *     summary: Render an email template with sample values
+ *     tags: [Emails]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The template name
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               variables:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: The rendered subject, html and text
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Template not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/templates/:name/preview', async (req, res) => {
+    try {
+        if (!(await getTemplate(req.params.name))) {
+            return res.status(404).json({ message: 'Template not found' });
+        }
+        res.status(200).json(await renderTemplate(req.params.name, req.body.variables || {}));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
 });
 
 module.exports = router;
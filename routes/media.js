@@ -0,0 +1,197 @@
+const express = require("express");
+const router = express.Router();
+const { reconcileMedia, MIN_DELETE_GRACE_HOURS } = require("../services/mediaReconciler");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MediaReconciliation:
+ *       type: object
+ *       properties:
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         dryRun:
+ *           type: boolean
+ *         graceHours:
+ *           type: number
+ *         objects:
+ *           type: integer
+ *           description: Objects in storage
+ *         referenced:
+ *           type: integer
+ *           description: Keys referenced by projects and partners
+ *         orphans:
+ *           type: array
+ *           description: Objects under projects/ and partners/ that no project or partner references
+ *           items:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *               size:
+ *                 type: integer
+ *               lastModified:
+ *                 type: string
+ *                 format: date-time
+ *               eligible:
+ *                 type: boolean
+ *                 description: Older than the grace period, so it can be deleted
+ *         orphanBytes:
+ *           type: integer
+ *         unmanaged:
+ *           type: array
+ *           description: >
+ *             Unreferenced objects outside projects/ and partners/, e.g.
+ *             uploads from before media were keyed by document. Only
+ *             reported, never deleted.
+ *           items:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *               size:
+ *                 type: integer
+ *               lastModified:
+ *                 type: string
+ *                 format: date-time
+ *         unmanagedBytes:
+ *           type: integer
+ *         missing:
+ *           type: array
+ *           description: Keys referenced by a document but missing from storage
+ *           items:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *               model:
+ *                 type: string
+ *                 enum: [Project, Partner]
+ *               id:
+ *                 type: string
+ *         deleted:
+ *           type: array
+ *           items:
+ *             type: string
+ *         failed:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *               error:
+ *                 type: string
+ */
+
+// Reads the grace period from a query or body value; undefined keeps the
+// default. Returns null when it is not a number of hours of at least `min`.
+const parseGraceHours = (value, min) => {
+  if (value === undefined || value === "") {
+    return { graceHours: undefined };
+  }
+  const graceHours = Number(value);
+  return graceHours >= min ? { graceHours } : null;
+};
+
+/**
+ * @swagger
+ * /api/media/reconciliation:
+ *   get:
+ *     summary: Report orphaned and missing media without changing anything (owners only)
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: graceHours
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         required: false
+ *         description: Orphans younger than this are not eligible for deletion. Defaults to 24.
+ *     responses:
+ *       200:
+ *         description: The reconciliation report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MediaReconciliation'
+ *       400:
+ *         description: Invalid grace period
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Server error
+ */
+router.get("/reconciliation", async (req, res) => {
+  const grace = parseGraceHours(req.query.graceHours, 0);
+  if (!grace) {
+    return res.status(400).json({ message: "graceHours must be a number of hours" });
+  }
+
+  try {
+    res.status(200).json(await reconcileMedia({ graceHours: grace.graceHours }));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/media/reconciliation:
+ *   post:
+ *     summary: Delete orphaned media older than the grace period (owners only)
+ *     tags: [Media]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               graceHours:
+ *                 type: number
+ *                 minimum: 1
+ *                 description: Orphans younger than this are kept. Defaults to 24.
+ *     responses:
+ *       200:
+ *         description: The reconciliation report, with the deleted orphans
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MediaReconciliation'
+ *       400:
+ *         description: The grace period is not a number of at least 1 hour
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Server error
+ */
+router.post("/reconciliation", async (req, res) => {
+  // Newer orphans may be uploads or transcoding outputs not attached yet
+  const grace = parseGraceHours(req.body.graceHours, MIN_DELETE_GRACE_HOURS);
+  if (!grace) {
+    return res.status(400).json({
+      message: `graceHours must be at least ${MIN_DELETE_GRACE_HOURS} hour(s)`,
+    });
+  }
+
+  try {
+    res
+      .status(200)
+      .json(await reconcileMedia({ graceHours: grace.graceHours, deleteOrphans: true }));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,393 @@
+const express = require("express");
+const ContactMessage = require("../models/ContactMessage");
+const { resendContactNotification } = require("../services/contactMailer");
+const router = express.Router();
+
+const STATUSES = ContactMessage.schema.path("status").enumValues;
+
+// Escapes user input so it can be used inside a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ContactMessage:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         email:
+ *           type: string
+ *         subject:
+ *           type: string
+ *         message:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [unread, read, archived, spam]
+ *         deliveryStatus:
+ *           type: string
+ *           enum: [pending, sent, failed, skipped]
+ *         deliveryError:
+ *           type: string
+ *           description: The error of the last failed delivery attempt
+ *         deliveryAttempts:
+ *           type: integer
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *         spamScore:
+ *           type: number
+ *         spamReasons:
+ *           type: array
+ *           items:
+ *             type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/messages/getMessages:
+ *   get:
+ *     summary: List contact form messages, newest first
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [unread, read, archived, spam]
+ *         description: Only return messages with this status. Without it, every message except spam is returned.
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Text to look for in the name, email, subject or message
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: A page of messages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ContactMessage'
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Server error
+ */
+router.get("/getMessages", async (req, res) => {
+  const { status, search } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  if (status !== undefined && !STATUSES.includes(status)) {
+    return res
+      .status(400)
+      .json({ message: `status must be one of: ${STATUSES.join(", ")}` });
+  }
+
+  // Spam only shows up when asked for explicitly
+  const filter = { status: status || { $ne: "spam" } };
+  if (typeof search === "string" && search.trim()) {
+    const pattern = new RegExp(escapeRegex(search.trim()), "i");
+    filter.$or = [
+      { name: pattern },
+      { email: pattern },
+      { subject: pattern },
+      { message: pattern },
+    ];
+  }
+
+  try {
+    const [messages, total] = await Promise.all([
+      ContactMessage.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ContactMessage.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      messages,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/getMessage/{id}:
+ *   get:
+ *     summary: Get a single contact form message by ID
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The message ID
+ *     responses:
+ *       200:
+ *         description: The message
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ContactMessage'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Message not found
+ *       500:
+ *         description: Server error
+ */
+router.get("/getMessage/:id", async (req, res) => {
+  try {
+    const message = await ContactMessage.findById(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    res.status(200).json(message);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/updateMessageStatus/{id}:
+ *   put:
+ *     summary: Mark a message as read, unread, archived or spam
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The message ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [unread, read, archived, spam]
+ *     responses:
+ *       200:
+ *         description: The updated message
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Message not found
+ *       500:
+ *         description: Server error
+ */
+router.put("/updateMessageStatus/:id", async (req, res) => {
+  const { status } = req.body;
+
+  if (!STATUSES.includes(status)) {
+    return res
+      .status(400)
+      .json({ message: `status must be one of: ${STATUSES.join(", ")}` });
+  }
+
+  try {
+    const message = await ContactMessage.findByIdAndUpdate(
+      req.params.id,
+      { status },
+      { new: true, runValidators: true }
+    );
+
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    res.status(200).json(message);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/deleteMessage/{id}:
+ *   delete:
+ *     summary: Delete a contact form message by ID
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The message ID
+ *     responses:
+ *       200:
+ *         description: Message deleted successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Message not found
+ *       500:
+ *         description: Server error
+ */
+router.delete("/deleteMessage/:id", async (req, res) => {
+  try {
+    const message = await ContactMessage.findByIdAndDelete(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    res.status(200).json({ message: "Message deleted successfully" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/resendMessage/{id}:
+ *   post:
+ *     summary: Queue the notification email of a message again, after a failed delivery or once it is found not to be spam
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The message ID
+ *     responses:
+ *       202:
+ *         description: Email queued for delivery
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Message not found
+ *       409:
+ *         description: The email of this message was already sent or is still pending
+ *       500:
+ *         description: Server error
+ */
+router.post("/resendMessage/:id", async (req, res) => {
+  try {
+    const message = await ContactMessage.findById(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({ message: "Message not found" });
+    }
+
+    if (!["failed", "skipped"].includes(message.deliveryStatus)) {
+      return res.status(409).json({
+        message: "Only messages that failed or were held as spam can be re-sent",
+      });
+    }
+
+    await resendContactNotification(message);
+    res.status(202).json({ message: "Email queued for delivery" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/messages/resendFailedMessages:
+ *   post:
+ *     summary: Queue the notification email of every message whose delivery failed again
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Emails queued for delivery
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 queued:
+ *                   type: integer
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Server error
+ */
+router.post("/resendFailedMessages", async (req, res) => {
+  try {
+    const messages = await ContactMessage.find({ deliveryStatus: "failed" });
+
+    for (const message of messages) {
+      await resendContactNotification(message);
+    }
+
+    res.status(202).json({ queued: messages.length });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
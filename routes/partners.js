@@ -1,14 +1,17 @@
 const express = require("express");
 const router = express.Router();
 const dotenv = require("dotenv");
-const multer = require("multer");
+const upload = require("../middleware/upload");
 const Partner = require("../models/Partners");
-const { uploadFile, deleteFile } = require("../services/s3Service"); // Adjust the path as needed
+const { uploadMedia } = require("../services/s3Service");
+const {
+  removeMedia,
+  saveWithUploads,
+  scheduleDeletion,
+} = require("../services/mediaCleanup");
 
 dotenv.config();
 
-const upload = multer({ dest: "uploads/" });
-
 /**
  * @swagger
  * /api/partners/getPartners:
@@ -31,8 +34,8 @@ const upload = multer({ dest: "uploads/" });
  *                     type: string
  *                   description:
  *                     type: string
- *                   imageUrl:
- *                     type: string
+ *                   image:
+ *                     $ref: '#/components/schemas/Media'
  *
  *       500:
  *         description: Server error
@@ -52,6 +55,8 @@ router.get("/getPartners", async (req, res) => {
  *   post:
  *     summary: Create a new partner
  *     tags: [Partners]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -73,8 +78,16 @@ router.get("/getPartners", async (req, res) => {
  *         description: Partner created successfully
  *       400:
  *         description: Invalid input
+ *       413:
+ *         description: A file is too large
+ *       415:
+ *         description: A file is not of a supported type
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.post("/addPartner", upload.single("image"), async (req, res) => {
+router.post("/addPartner", upload.single("image", "image"), async (req, res) => {
   const { fullName, quote, description } = req.body;
 
   // Ensure that the image file is provided
@@ -83,25 +96,14 @@ router.post("/addPartner", upload.single("image"), async (req, res) => {
   }
 
   try {
+    // Create a new Partner instance first so its ID can prefix the S3 key
+    const partner = new Partner({ fullName, quote, description });
+
     // Upload the file to S3
-    const imageKey = req.file.originalname; // You may want to consider a more unique key
-    await uploadFile(
-      process.env.BUCKET_NAME,
-      imageKey,
-      req.file.path,
-      req.file.mimetype
-    );
-
-    // Create a new Partner instance
-    const partner = new Partner({
-      fullName,
-      quote,
-      description,
-      imageUrl: `https://${process.env.BUCKET_NAME}.s3.amazonaws.com/${imageKey}`, // Set the S3 image URL
-    });
-
-    // Save the partner to the database
-    const savedPartner = await partner.save();
+    partner.image = await uploadMedia(`partners/${partner._id}`, req.file);
+
+    // Save the partner to the database, removing the image if that fails
+    const savedPartner = await saveWithUploads(partner, [partner.image]);
 
     // Send back the saved partner
     res.status(201).json(savedPartner);
@@ -119,7 +121,13 @@ router.post("/addPartner", upload.single("image"), async (req, res) => {
  * /api/partners/deletePartner/{id}:
  *   delete:
  *     summary: Delete a partner by ID
+ *     description: >
+ *       The partner disappears at once. Its image is deleted from storage in
+ *       the background, retrying until that succeeds, and the partner is
+ *       then removed from the database.
  *     tags: [Partners]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -132,6 +140,10 @@ router.post("/addPartner", upload.single("image"), async (req, res) => {
  *         description: Partner deleted successfully
  *       404:
  *         description: Partner not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Server error
  */
@@ -146,14 +158,9 @@ router.delete("/deletePartner/:id", async (req, res) => {
       return res.status(404).json({ message: "Partner not found" });
     }
 
-    // Extract the S3 key from the image URL
-    const imageKey = partner.imageUrl.split("/").pop(); // This assumes the image URL is formatted correctly
-
-    // Delete the image from S3
-    await deleteFile(process.env.BUCKET_NAME, imageKey);
-
-    // Now delete the partner from the database
-    await Partner.findByIdAndDelete(id);
+    // Hide the partner now; the image is deleted from S3 in the
+    // background, then the partner itself
+    await scheduleDeletion(partner);
 
     res
       .status(200)
@@ -169,6 +176,8 @@ router.delete("/deletePartner/:id", async (req, res) => {
  *   put:
  *     summary: Update a partner by ID
  *     tags: [Partners]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -199,10 +208,18 @@ router.delete("/deletePartner/:id", async (req, res) => {
  *         description: Partner not found
  *       400:
  *         description: Invalid input
+ *       413:
+ *         description: A file is too large
+ *       415:
+ *         description: A file is not of a supported type
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Server error
  */
-router.put("/editPartner/:id", upload.single("image"), async (req, res) => {
+router.put("/editPartner/:id", upload.single("image", "image"), async (req, res) => {
   const { id } = req.params;
 
   try {
@@ -220,31 +237,20 @@ router.put("/editPartner/:id", upload.single("image"), async (req, res) => {
       existingPartner.description = req.body.description;
 
     // Handle image update if a new image is uploaded
+    const previousImage = existingPartner.image;
+    let uploadedImage = null;
     if (req.file) {
-      // Extract the current image key from the existing URL
-      const oldImageUrl = existingPartner.imageUrl;
-      const oldImageKey = oldImageUrl ? oldImageUrl.split("/").pop() : null;
-
-      // Delete the old image from S3 if it exists
-      if (oldImageKey) {
-        await deleteFile(process.env.BUCKET_NAME, oldImageKey);
-
-        // Upload the new image to S3
-        const newImageKey = req.file.originalname; // Ensure uniqueness in production
-        await uploadFile(
-          process.env.BUCKET_NAME,
-          newImageKey,
-          req.file.path,
-          req.file.mimetype
-        );
-
-        // Update the image URL with the new image
-        existingPartner.imageUrl = `https://${process.env.BUCKET_NAME}.s3.amazonaws.com/${newImageKey}`;
-      }
+      uploadedImage = await uploadMedia(`partners/${id}`, req.file);
+      existingPartner.image = uploadedImage;
     }
 
-    // Save the updated partner
-    const updatedPartner = await existingPartner.save();
+    // Save the updated partner, removing the new image if that fails
+    const updatedPartner = await saveWithUploads(existingPartner, [uploadedImage]);
+
+    // The replaced image is deleted from S3 once nothing references it
+    if (uploadedImage) {
+      await removeMedia([previousImage]);
+    }
     res.status(200).json(updatedPartner);
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -1,13 +1,153 @@
 const express = require("express");
 const router = express.Router();
-const multer = require("multer");
-const { uploadFile, deleteFile } = require("../services/s3Service"); // Ensure you import your S3 upload function
+const upload = require("../middleware/upload");
+const {
+  uploadMedia,
+  createDirectUpload,
+  isDirectUploadKey,
+  completeDirectUpload,
+  abortDirectUpload,
+  readFileHeader,
+  mediaKeys,
+  hlsPrefix,
+} = require("../services/s3Service");
+const {
+  queueVideoTranscode,
+  markVideoProcessing,
+} = require("../services/videoTranscoder");
+const { trackUpload, getUploadProgress } = require("../services/uploadProgress");
+const {
+  removeMedia,
+  uploadAll,
+  saveWithUploads,
+  scheduleDeletion,
+} = require("../services/mediaCleanup");
 const Project = require("../models/Project"); // Adjust the path as needed
-const upload = multer({ dest: "uploads/" }); // Specify the directory to temporarily store uploaded files
 const dotenv = require("dotenv");
 
 dotenv.config();
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Media:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         key:
+ *           type: string
+ *           description: The storage key of the file
+ *         url:
+ *           type: string
+ *         mimeType:
+ *           type: string
+ *         size:
+ *           type: number
+ *           description: Size in bytes
+ *         width:
+ *           type: number
+ *         height:
+ *           type: number
+ *         dominantColor:
+ *           type: string
+ *           example: '#336699'
+ *           description: The dominant color of an image, to fill its space while it loads
+ *         lqip:
+ *           type: string
+ *           description: A tiny blurred copy of an image as a data URI, shown while it loads
+ *         status:
+ *           type: string
+ *           enum: [processing, ready, failed]
+ *           description: Transcoding status of a video
+ *         processingError:
+ *           type: string
+ *         duration:
+ *           type: number
+ *           description: Length of a video in seconds
+ *         mp4:
+ *           description: H.264/AAC copy of a video
+ *           $ref: '#/components/schemas/MediaVariant'
+ *         hls:
+ *           description: HLS master playlist of a video
+ *           $ref: '#/components/schemas/MediaVariant'
+ *         poster:
+ *           type: object
+ *           description: Poster frame of a video, with the same fields as an image
+ *         variants:
+ *           type: array
+ *           description: Resized AVIF and WebP copies of an image
+ *           items:
+ *             $ref: '#/components/schemas/MediaVariant'
+ *         thumbnail:
+ *           $ref: '#/components/schemas/MediaVariant'
+ *         sources:
+ *           type: array
+ *           description: The variants grouped by type, for <picture> source elements
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 example: image/avif
+ *               srcset:
+ *                 type: string
+ *                 example: https://cdn.example.com/a-320w.avif 320w, https://cdn.example.com/a-640w.avif 640w
+ *     GalleryImage:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Media'
+ *         - type: object
+ *           required: [alt]
+ *           properties:
+ *             alt:
+ *               type: string
+ *               description: Text alternative for screen readers
+ *             caption:
+ *               type: string
+ *     DeleteImagesResult:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *         removed:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: IDs of the images that were deleted
+ *         notFound:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Requested IDs that match no image of the project
+ *     MediaVariant:
+ *       type: object
+ *       properties:
+ *         key:
+ *           type: string
+ *         url:
+ *           type: string
+ *         mimeType:
+ *           type: string
+ *         size:
+ *           type: number
+ *         width:
+ *           type: number
+ *         height:
+ *           type: number
+ *   parameters:
+ *     UploadId:
+ *       in: header
+ *       name: X-Upload-Id
+ *       schema:
+ *         type: string
+ *         pattern: '^[A-Za-z0-9_-]{8,64}$'
+ *       required: false
+ *       description: >
+ *         An ID chosen by the client to follow the upload to storage with
+ *         GET /api/projects/uploadProgress/{uploadId} while the request runs
+ */
+
 /**
  * @swagger
  * /api/projects/getProjects:
@@ -34,10 +174,20 @@ dotenv.config();
  *                     type: string
  *                   images:
  *                     type: array
+ *                     description: The gallery, in display order
  *                     items:
- *                       type: string
- *                   video:
+ *                       $ref: '#/components/schemas/GalleryImage'
+ *                   coverImageId:
  *                     type: string
+ *                     nullable: true
+ *                     description: The `_id` of the designated cover image
+ *                   cover:
+ *                     description: The designated cover image, or the first image when none is designated
+ *                     nullable: true
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/GalleryImage'
+ *                   video:
+ *                     $ref: '#/components/schemas/Media'
  *       500:
  *         description: Server error
  */
@@ -50,12 +200,88 @@ router.get("/getProjects", async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/projects/uploadProgress/{uploadId}:
+ *   get:
+ *     summary: Get the progress of an upload sent with an X-Upload-Id header
+ *     description: >
+ *       Covers the transfer from this server to storage, which starts once
+ *       the request body has been received. Progress is kept for 10 minutes
+ *       after the upload has finished.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The X-Upload-Id sent with the upload
+ *     responses:
+ *       200:
+ *         description: The upload progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [uploading, completed, failed]
+ *                 loaded:
+ *                   type: integer
+ *                   description: Bytes uploaded so far
+ *                 total:
+ *                   type: integer
+ *                 percent:
+ *                   type: integer
+ *                 error:
+ *                   type: string
+ *                   nullable: true
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: No upload with this ID
+ */
+router.get("/uploadProgress/:uploadId", (req, res) => {
+  const progress = getUploadProgress(req.admin._id, req.params.uploadId);
+
+  if (!progress) {
+    return res.status(404).json({ message: "Upload not found" });
+  }
+
+  res.status(200).json(progress);
+});
+
+// Pairs each uploaded image with the alt text and caption sent for it, as
+// repeated `alts` and `captions` form fields in the order of the files.
+// Returns null unless every image has a non-empty alt text.
+const readImageTexts = (body, count) => {
+  const alts = [].concat(body.alts ?? []).map((alt) => String(alt).trim());
+  const captions = [].concat(body.captions ?? []).map((caption) => String(caption).trim());
+
+  if (alts.length !== count || alts.some((alt) => !alt)) {
+    return null;
+  }
+  return alts.map((alt, index) => ({ alt, caption: captions[index] || undefined }));
+};
+
+const MISSING_ALT_MESSAGE = "Every image needs an alt text, sent as one 'alts' field per image";
+
 /**
  * @swagger
  * /api/projects/addProject:
  *   post:
  *     summary: Create a new project
  *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/UploadId'
  *     requestBody:
  *       required: true
  *       content:
@@ -76,6 +302,16 @@ router.get("/getProjects", async (req, res) => {
  *                 items:
  *                   type: file
  *                 description: Array of image files
+ *               alts:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: The alt text of each image, in the same order as the files
+ *               captions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: The optional caption of each image, in the same order as the files
  *               video:
  *                 type: file
  *                 description: Video file
@@ -84,62 +320,76 @@ router.get("/getProjects", async (req, res) => {
  *         description: Project created successfully
  *       400:
  *         description: Invalid input
+ *       413:
+ *         description: A file is too large
+ *       415:
+ *         description: A file is not of a supported type
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 router.post(
   "/addProject",
   upload.fields([
-    { name: "images", maxCount: 5 },
-    { name: "video", maxCount: 1 },
+    { name: "images", kind: "image", maxCount: 5 },
+    { name: "video", kind: "video", maxCount: 1 },
   ]),
   async (req, res) => {
     const { title, location, year, description } = req.body;
-    const images = req.files["images"]; // Array of image files
-    const video = req.files["video"] ? req.files["video"][0] : null; // Single video file
+    const images = req.files.images || []; // Array of image files
+    const video = req.files.video ? req.files.video[0] : null; // Single video file
 
-    try {
-      const imageUploadPromises = images.map((image) => {
-        const imageKey = image.originalname; // Use a unique key for S3
-        return uploadFile(
-          process.env.BUCKET_NAME,
-          imageKey,
-          image.path,
-          image.mimetype
-        );
-      });
+    if (images.length === 0) {
+      return res.status(400).json({ message: "At least one image is required" });
+    }
+    const imageTexts = readImageTexts(req.body, images.length);
+    if (!imageTexts) {
+      return res.status(400).json({ message: MISSING_ALT_MESSAGE });
+    }
 
-      // Upload video to S3 if provided
-      let videoUrl = null;
-      if (video) {
-        const videoKey = video.originalname; // Use a unique key for S3
-        await uploadFile(
-          process.env.BUCKET_NAME,
-          videoKey,
-          video.path,
-          video.mimetype
-        );
-        videoUrl = `https://${process.env.BUCKET_NAME}.s3.amazonaws.com/${videoKey}`; // Construct the S3 video URL
-      }
+    // Create the project first so its ID can prefix the S3 keys, and check
+    // its fields before spending time on the uploads
+    const project = new Project({ title, location, year, description });
+    try {
+      await project.validate(["title", "location", "year", "description"]);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
 
-      // Wait for all image uploads to complete
-      await Promise.all(imageUploadPromises);
-
-      // Construct the project object
-      const project = new Project({
-        title,
-        location,
-        year,
-        description,
-        images: images.map(
-          (image) =>
-            `https://${process.env.BUCKET_NAME}.s3.amazonaws.com/${image.originalname}`
-        ), // Construct image URLs
-        video: videoUrl,
-      });
+    const progress = trackUpload(req, [...images, ...(video ? [video] : [])]);
 
-      // Save the project to the database
-      const savedProject = await project.save();
+    try {
+      // Upload images and video (if provided) to S3
+      const imageUploadPromises = images.map((image) =>
+        uploadMedia(`projects/${project._id}/images`, image, {
+          onProgress: progress.forFile(image),
+        })
+      );
+      const videoUploadPromise = video
+        ? uploadMedia(`projects/${project._id}/video`, video, {
+            onProgress: progress.forFile(video),
+          })
+        : Promise.resolve(null);
+
+      // Wait for all uploads to complete; if one fails the others are removed
+      const uploads = await uploadAll([...imageUploadPromises, videoUploadPromise]);
+      const uploadedVideo = uploads[uploads.length - 1];
+      project.images = uploads.slice(0, -1).map((image, index) => ({
+        ...image,
+        ...imageTexts[index],
+      }));
+      project.video = uploadedVideo && markVideoProcessing(uploadedVideo);
+
+      // Save the project to the database, removing the uploads if that fails
+      const savedProject = await saveWithUploads(project, uploads);
+      if (savedProject.video) {
+        await queueVideoTranscode(savedProject);
+      }
+      progress.complete();
       res.status(201).json(savedProject);
     } catch (error) {
+      progress.fail(error);
       res.status(400).json({ message: error.message });
     }
   }
@@ -150,7 +400,13 @@ router.post(
  * /api/projects/deleteProject/{id}:
  *   delete:
  *     summary: Delete a project by ID
+ *     description: >
+ *       The project disappears at once. Its images and video are deleted
+ *       from storage in the background, retrying until that succeeds, and
+ *       the project is then removed from the database.
  *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -163,6 +419,10 @@ router.post(
  *         description: Project deleted successfully
  *       404:
  *         description: Project not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Server error
  */
@@ -177,28 +437,9 @@ router.delete("/deleteProject/:id", async (req, res) => {
       return res.status(404).json({ message: "Project not found" });
     }
 
-    // Extract the S3 keys from image and video URLs
-    const imageKeys = project.images.map((url) => {
-      return url.split("/").pop(); // Get the file name from the URL
-    });
-
-    const videoKey = project.video ? project.video.split("/").pop() : null;
-
-    // Delete images from S3
-    const deleteImagePromises = imageKeys.map((key) => {
-      return deleteFile(process.env.BUCKET_NAME, key); // S3 deletion function
-    });
-
-    // Delete video from S3 (if exists)
-    if (videoKey) {
-      await deleteFile(process.env.BUCKET_NAME, videoKey); // S3 deletion function
-    }
-
-    // Wait for all deletions to complete
-    await Promise.all(deleteImagePromises);
-
-    // Delete project from the database
-    await Project.findByIdAndDelete(id);
+    // Hide the project now; its images and video are deleted from S3 in
+    // the background, then the project itself
+    await scheduleDeletion(project);
 
     res.status(200).json({ message: "Project deleted successfully" });
   } catch (error) {
@@ -212,6 +453,8 @@ router.delete("/deleteProject/:id", async (req, res) => {
  *   put:
  *     summary: Add or replace a video for a project by ID
  *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -219,6 +462,7 @@ router.delete("/deleteProject/:id", async (req, res) => {
  *           type: string
  *         required: true
  *         description: The project ID
+ *       - $ref: '#/components/parameters/UploadId'
  *     requestBody:
  *       required: true
  *       content:
@@ -237,50 +481,56 @@ router.delete("/deleteProject/:id", async (req, res) => {
  *         description: Project not found
  *       400:
  *         description: Invalid input
+ *       413:
+ *         description: A file is too large
+ *       415:
+ *         description: A file is not of a supported type
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Server error
  */
 router.put(
   "/addVideo/:id",
-  upload.single("video"), // Expecting a single file upload with the field name 'video'
+  upload.single("video", "video"), // Expecting a single file upload with the field name 'video'
   async (req, res) => {
     const { id } = req.params;
 
+    // Check if a video file was uploaded
+    const video = req.file ? req.file : null;
+    if (!video) {
+      return res.status(400).json({ message: "No video file provided" });
+    }
+
+    const progress = trackUpload(req, [video]);
+
     try {
       // Retrieve the existing project by ID
       const existingProject = await Project.findById(id);
       if (!existingProject) {
+        progress.fail(new Error("Project not found"));
         return res.status(404).json({ message: "Project not found" });
       }
 
-      // Check if a video file was uploaded
-      const video = req.file ? req.file : null;
-      if (!video) {
-        return res.status(400).json({ message: "No video file provided" });
-      }
-
-      // If the project already has a video, delete the old one from S3
-      if (existingProject.video) {
-        const oldVideoKey = existingProject.video.split("/").pop();
-        await deleteFile(process.env.BUCKET_NAME, oldVideoKey); // Delete old video from S3
-      }
-
-      // Upload the new video to S3
-      const videoKey = video.originalname; // Use the original file name as the key
-      await uploadFile(
-        process.env.BUCKET_NAME,
-        videoKey,
-        video.path,
-        video.mimetype
-      );
+      // Upload the new video to S3 and replace the project's video
+      const uploadedVideo = await uploadMedia(`projects/${id}/video`, video, {
+        onProgress: progress.forFile(video),
+      });
+      const previousVideo = existingProject.video;
+      existingProject.video = markVideoProcessing(uploadedVideo);
 
-      // Update the project's video URL with the new one
-      existingProject.video = `https://${process.env.BUCKET_NAME}.s3.${process.env.BUCKET_REGION}.amazonaws.com/${videoKey}`;
+      // Save the updated project and transcode the video in the background
+      const updatedProject = await saveWithUploads(existingProject, [uploadedVideo]);
+      await queueVideoTranscode(updatedProject);
 
-      // Save the updated project
-      const updatedProject = await existingProject.save();
+      // The old video is deleted from S3 once nothing references it
+      await removeMedia([previousVideo]);
+      progress.complete();
       res.status(200).json(updatedProject);
     } catch (error) {
+      progress.fail(error);
       console.error("Error adding/replacing video:", error); // Log the error for debugging
       res.status(500).json({ message: "Server error" });
     }
@@ -293,6 +543,8 @@ router.put(
  *   delete:
  *     summary: Delete the video for a project by ID
  *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -305,6 +557,10 @@ router.put(
  *         description: Video deleted successfully
  *       404:
  *         description: Project or video not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Server error
  */
@@ -325,15 +581,13 @@ router.delete("/deleteVideo/:id", async (req, res) => {
         .json({ message: "No video found for this project" });
     }
 
-    // Delete the video from S3
-    const oldVideoKey = existingProject.video.split("/").pop(); // Extract the key from the URL
-    await deleteFile(process.env.BUCKET_NAME, oldVideoKey); // Delete video from S3
-
-    // Remove the video URL from the project
+    // Remove the video from the project
+    const video = existingProject.video;
     existingProject.video = null;
 
-    // Save the updated project
+    // Save the updated project, then delete the video from S3
     await existingProject.save();
+    await removeMedia([video]);
     res.status(200).json({ message: "Video deleted successfully" });
   } catch (error) {
     console.error("Error deleting video:", error); // Log the error for debugging
@@ -343,10 +597,12 @@ router.delete("/deleteVideo/:id", async (req, res) => {
 
 /**
  * @swagger
- * /api/projects/addImages/{id}:
- *   put:
- *     summary: Add one or more images to a project by ID
+ * /api/projects/videoStatus/{id}:
+ *   get:
+ *     summary: Get the transcoding status of a project's video
  *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -354,86 +610,156 @@ router.delete("/deleteVideo/:id", async (req, res) => {
  *           type: string
  *         required: true
  *         description: The project ID
- *     requestBody:
- *       required: true
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             properties:
- *               images:
- *                 type: array
- *                 items:
- *                   type: string
- *                   format: binary
- *                 description: Array of image files to upload
  *     responses:
  *       200:
- *         description: Images added successfully
+ *         description: The transcoding status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [processing, ready, failed]
+ *                   description: Missing for videos uploaded before transcoding was introduced
+ *                 error:
+ *                   type: string
+ *                   description: Why transcoding failed
+ *                 duration:
+ *                   type: number
+ *                   description: In seconds
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
- *         description: Project not found
- *       400:
- *         description: Invalid input
+ *         description: Project or video not found
  *       500:
  *         description: Server error
  */
-router.put(
-  "/addImages/:id",
-  upload.array("images", 5), // Allow up to 5 images to be uploaded at once
-  async (req, res) => {
-    const { id } = req.params;
-
-    try {
-      // Retrieve the existing project by ID
-      const existingProject = await Project.findById(id);
-      if (!existingProject) {
-        return res.status(404).json({ message: "Project not found" });
-      }
+router.get("/videoStatus/:id", async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    if (!project) {
+      return res.status(404).json({ message: "Project not found" });
+    }
+    if (!project.video) {
+      return res
+        .status(404)
+        .json({ message: "No video found for this project" });
+    }
 
-      // Check if image files were uploaded
-      const images = req.files; // Array of image files
-      if (!images || images.length === 0) {
-        return res.status(400).json({ message: "No image files provided" });
-      }
+    const { status, processingError, duration } = project.video;
+    res.status(200).json({ status, error: processingError, duration });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
 
-      // Upload new images to S3
-      const imageUploadPromises = images.map((image) => {
-        const imageKey = image.originalname; // Use the original file name as the key
-        return uploadFile(
-          process.env.BUCKET_NAME,
-          imageKey,
-          image.path,
-          image.mimetype
-        ).then(
-          () =>
-            `https://${process.env.BUCKET_NAME}.s3.${process.env.BUCKET_REGION}.amazonaws.com/${imageKey}`
-        );
-      });
+/**
+ * @swagger
+ * /api/projects/transcodeVideo/{id}:
+ *   post:
+ *     summary: Transcode a project's video again
+ *     description: For videos whose transcoding failed, or that were uploaded before transcoding was introduced.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The project ID
+ *     responses:
+ *       202:
+ *         description: Transcoding queued
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Project or video not found
+ *       409:
+ *         description: The video is already transcoded or being transcoded
+ *       500:
+ *         description: Server error
+ */
+router.post("/transcodeVideo/:id", async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    if (!project) {
+      return res.status(404).json({ message: "Project not found" });
+    }
+    if (!project.video) {
+      return res
+        .status(404)
+        .json({ message: "No video found for this project" });
+    }
+    if (project.video.status === "processing") {
+      return res
+        .status(409)
+        .json({ message: "The video is already being transcoded" });
+    }
+    if (project.video.status === "ready") {
+      return res.status(409).json({ message: "The video is already transcoded" });
+    }
 
-      const uploadedImageUrls = await Promise.all(imageUploadPromises);
+    project.video.status = "processing";
+    project.video.processingError = undefined;
+    await project.save();
+    await queueVideoTranscode(project);
 
-      // Append new image URLs to the existing images array
-      existingProject.images = [
-        ...existingProject.images, // Keep existing images
-        ...uploadedImageUrls, // Add new image URLs from S3
-      ];
+    res.status(202).json({ message: "Transcoding queued" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
 
-      // Save the updated project
-      const updatedProject = await existingProject.save();
-      res.status(200).json(updatedProject);
-    } catch (error) {
-      console.error("Error adding images:", error); // Log the error for debugging
-      res.status(500).json({ message: "Server error" });
-    }
+// Only keys createVideoUpload handed out for this project, with their token,
+// can be confirmed or abandoned: the files made from the current video are
+// stored under the same prefix
+const isVideoUpload = (id, key, uploadToken) =>
+  typeof key === "string" &&
+  key.startsWith(`projects/${id}/video/`) &&
+  !key.includes("..") &&
+  isDirectUploadKey(key, uploadToken);
+
+// Whether a key is the project's current video or one of the files made from it
+const isCurrentVideoFile = (project, key) => {
+  if (!project.video) {
+    return false;
   }
-);
+  const prefix = hlsPrefix(project.video);
+  return mediaKeys(project.video).includes(key) || Boolean(prefix && key.startsWith(prefix));
+};
+
+const tooLargeMessage = () =>
+  `The video is larger than ${Math.floor(upload.KINDS.video.maxSize / (1024 * 1024))} MB`;
+
+const isPartList = (parts) =>
+  Array.isArray(parts) &&
+  parts.length > 0 &&
+  parts.every(
+    (part) => Number.isInteger(part?.partNumber) && typeof part.etag === "string"
+  );
 
 /**
  * @swagger
- * /api/projects/deleteImages/{id}:
- *   delete:
- *     summary: Delete multiple images for a project by ID and image names
+ * /api/projects/createVideoUpload/{id}:
+ *   post:
+ *     summary: Get presigned URLs to upload a project video straight to storage
+ *     description: >
+ *       Small files get a single URL to PUT the file to. Files above the
+ *       multipart threshold get one URL per part; PUT each slice of
+ *       `partSize` bytes to its URL and keep the ETag response header.
+ *       Call confirmVideoUpload once the upload has finished. With S3, the
+ *       bucket's CORS rules must allow PUT from the admin site and expose
+ *       the ETag header.
  *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -441,66 +767,743 @@ router.put(
  *           type: string
  *         required: true
  *         description: The project ID
- *       - in: query
- *         name: imageNames
- *         schema:
- *           type: array
- *           items:
- *             type: string
- *         required: true
- *         description: The array of image names to delete
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [fileName, contentType, size]
+ *             properties:
+ *               fileName:
+ *                 type: string
+ *               contentType:
+ *                 type: string
+ *                 example: video/mp4
+ *               size:
+ *                 type: integer
+ *                 description: Size of the file in bytes
  *     responses:
  *       200:
- *         description: Images deleted successfully
+ *         description: Where to upload the video
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 key:
+ *                   type: string
+ *                 uploadToken:
+ *                   type: string
+ *                   description: Send it back with the key to confirmVideoUpload or abortVideoUpload
+ *                 method:
+ *                   type: string
+ *                   description: Only set for single uploads
+ *                 url:
+ *                   type: string
+ *                   description: Only set for single uploads
+ *                 headers:
+ *                   type: object
+ *                   description: Headers to send with a single upload
+ *                 uploadId:
+ *                   type: string
+ *                   description: Only set for multipart uploads
+ *                 partSize:
+ *                   type: integer
+ *                 parts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       partNumber:
+ *                         type: integer
+ *                       url:
+ *                         type: string
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Seconds until the URLs expire
+ *       400:
+ *         description: Invalid input
+ *       413:
+ *         description: The video is larger than UPLOAD_MAX_VIDEO_MB
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
- *         description: Project or one or more images not found
+ *         description: Project not found
  *       500:
  *         description: Server error
  */
-router.delete("/deleteImages/:id", async (req, res) => {
+router.post("/createVideoUpload/:id", async (req, res) => {
   const { id } = req.params;
-  const { imageNames } = req.query; // Array of image names passed as a query parameter
+  const { fileName, contentType, size } = req.body;
 
-  try {
-    // Ensure imageNames is provided and is an array
-    if (!imageNames || !Array.isArray(imageNames)) {
-      return res
-        .status(400)
-        .json({ message: "Image names must be provided as an array" });
-    }
+  if (typeof contentType !== "string" || !contentType.startsWith("video/")) {
+    return res.status(400).json({ message: "contentType must be a video type" });
+  }
+  if (!Number.isInteger(size) || size <= 0) {
+    return res
+      .status(400)
+      .json({ message: "size must be a positive number of bytes" });
+  }
+  if (size > upload.KINDS.video.maxSize) {
+    return res.status(413).json({ message: tooLargeMessage() });
+  }
 
-    // Retrieve the existing project by ID
-    const existingProject = await Project.findById(id);
-    if (!existingProject) {
+  try {
+    const project = await Project.findById(id);
+    if (!project) {
       return res.status(404).json({ message: "Project not found" });
     }
 
-    // Filter out images that match any of the image names
-    const imagesToDelete = existingProject.images.filter((imageUrl) =>
-      imageNames.some((imageName) => imageUrl.includes(imageName))
-    );
-
-    if (imagesToDelete.length === 0) {
-      return res
-        .status(404)
-        .json({ message: "No matching images found for deletion" });
-    }
-
-    // Delete each image from S3
-    const deletePromises = imagesToDelete.map((imageUrl) => {
-      const imageKey = imageUrl.split("/").pop(); // Extract the key from the URL
-      return deleteFile(process.env.BUCKET_NAME, imageKey); // Delete from S3
+    const directUpload = await createDirectUpload(`projects/${id}/video`, {
+      fileName: typeof fileName === "string" ? fileName : "",
+      contentType,
+      size,
     });
-    await Promise.all(deletePromises); // Wait for all deletions to complete
-
-    // Remove the deleted images from the project's images array
-    existingProject.images = existingProject.images.filter(
-      (imageUrl) => !imagesToDelete.includes(imageUrl)
-    );
+    res.status(200).json(directUpload);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
 
-    // Save the updated project
+/**
+ * @swagger
+ * /api/projects/confirmVideoUpload/{id}:
+ *   post:
+ *     summary: Attach a video uploaded through createVideoUpload to the project
+ *     description: Replaces the current video of the project, if any.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [key, uploadToken]
+ *             properties:
+ *               key:
+ *                 type: string
+ *               uploadToken:
+ *                 type: string
+ *                 description: The token createVideoUpload returned with the key
+ *               uploadId:
+ *                 type: string
+ *                 description: Required for multipart uploads
+ *               parts:
+ *                 type: array
+ *                 description: Required for multipart uploads
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     partNumber:
+ *                       type: integer
+ *                     etag:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: The updated project
+ *       400:
+ *         description: Invalid input, or nothing was uploaded
+ *       409:
+ *         description: The key belongs to the current video of the project
+ *       413:
+ *         description: The upload is larger than UPLOAD_MAX_VIDEO_MB and was deleted
+ *       415:
+ *         description: The upload is not an MP4, QuickTime or WebM video and was deleted
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Project not found
+ *       500:
+ *         description: Server error
+ */
+router.post("/confirmVideoUpload/:id", async (req, res) => {
+  const { id } = req.params;
+  const { key, uploadToken, uploadId, parts } = req.body;
+
+  if (!isVideoUpload(id, key, uploadToken)) {
+    return res
+      .status(400)
+      .json({ message: "key and uploadToken do not match a video upload of this project" });
+  }
+  if (uploadId !== undefined && (typeof uploadId !== "string" || !isPartList(parts))) {
+    return res.status(400).json({
+      message: "Multipart uploads need an uploadId and the partNumber and etag of every part",
+    });
+  }
+
+  try {
+    const project = await Project.findById(id);
+    if (!project) {
+      return res.status(404).json({ message: "Project not found" });
+    }
+    if (project.video && project.video.key === key) {
+      return res.status(200).json(project);
+    }
+    if (isCurrentVideoFile(project, key)) {
+      return res
+        .status(409)
+        .json({ message: "This file belongs to the current video of the project" });
+    }
+
+    const video = await completeDirectUpload(key, { uploadId, parts });
+    if (!video) {
+      return res.status(400).json({ message: "Nothing was uploaded under this key" });
+    }
+
+    // The same checks as uploads through this server: the client may have
+    // sent something else than it announced
+    const { types, maxSize } = upload.KINDS.video;
+    if (video.size > maxSize) {
+      await abortDirectUpload(key);
+      return res.status(413).json({ message: tooLargeMessage() });
+    }
+    const mimeType = video.size
+      ? upload.sniffMimeType(await readFileHeader(key, upload.HEADER_LENGTH))
+      : null;
+    if (!types.includes(mimeType)) {
+      await abortDirectUpload(key);
+      return res
+        .status(415)
+        .json({ message: `The uploaded file must be one of ${types.join(", ")}` });
+    }
+    video.mimeType = mimeType;
+
+    // Replace the previous video, if any
+    const previousVideo = project.video;
+    project.video = markVideoProcessing(video);
+
+    const updatedProject = await saveWithUploads(project, [video]);
+    await queueVideoTranscode(updatedProject);
+    await removeMedia([previousVideo]);
+    res.status(200).json(updatedProject);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/abortVideoUpload/{id}:
+ *   post:
+ *     summary: Cancel a video upload started with createVideoUpload
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [key, uploadToken]
+ *             properties:
+ *               key:
+ *                 type: string
+ *               uploadToken:
+ *                 type: string
+ *                 description: The token createVideoUpload returned with the key
+ *               uploadId:
+ *                 type: string
+ *                 description: Required for multipart uploads
+ *     responses:
+ *       200:
+ *         description: Upload cancelled
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: The video is already attached to the project
+ *       500:
+ *         description: Server error
+ */
+router.post("/abortVideoUpload/:id", async (req, res) => {
+  const { id } = req.params;
+  const { key, uploadToken, uploadId } = req.body;
+
+  if (!isVideoUpload(id, key, uploadToken)) {
+    return res
+      .status(400)
+      .json({ message: "key and uploadToken do not match a video upload of this project" });
+  }
+
+  try {
+    const project = await Project.findById(id);
+    if (project && isCurrentVideoFile(project, key)) {
+      return res
+        .status(409)
+        .json({ message: "This video is already attached to the project" });
+    }
+
+    await abortDirectUpload(key, typeof uploadId === "string" ? uploadId : undefined);
+    res.status(200).json({ message: "Upload cancelled" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/addImages/{id}:
+ *   put:
+ *     summary: Add one or more images to a project by ID
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The project ID
+ *       - $ref: '#/components/parameters/UploadId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Array of image files to upload
+ *               alts:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: The alt text of each image, in the same order as the files
+ *               captions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: The optional caption of each image, in the same order as the files
+ *     responses:
+ *       200:
+ *         description: Images added successfully
+ *       404:
+ *         description: Project not found
+ *       400:
+ *         description: Invalid input
+ *       413:
+ *         description: A file is too large
+ *       415:
+ *         description: A file is not of a supported type
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Server error
+ */
+router.put(
+  "/addImages/:id",
+  upload.array("images", "image", 5), // Allow up to 5 images to be uploaded at once
+  async (req, res) => {
+    const { id } = req.params;
+
+    // Check if image files were uploaded
+    const images = req.files; // Array of image files
+    if (!images || images.length === 0) {
+      return res.status(400).json({ message: "No image files provided" });
+    }
+
+    const imageTexts = readImageTexts(req.body, images.length);
+    if (!imageTexts) {
+      return res.status(400).json({ message: MISSING_ALT_MESSAGE });
+    }
+
+    const progress = trackUpload(req, images);
+
+    try {
+      // Retrieve the existing project by ID
+      const existingProject = await Project.findById(id);
+      if (!existingProject) {
+        progress.fail(new Error("Project not found"));
+        return res.status(404).json({ message: "Project not found" });
+      }
+
+      // Upload new images to S3; if one fails the others are removed
+      const uploadedImages = await uploadAll(
+        images.map((image) =>
+          uploadMedia(`projects/${id}/images`, image, {
+            onProgress: progress.forFile(image),
+          })
+        )
+      );
+
+      // Append new images to the existing images array
+      existingProject.images.push(
+        ...uploadedImages.map((image, index) => ({ ...image, ...imageTexts[index] }))
+      );
+
+      // Save the updated project, removing the uploads if that fails
+      const updatedProject = await saveWithUploads(existingProject, uploadedImages);
+      progress.complete();
+      res.status(200).json(updatedProject);
+    } catch (error) {
+      progress.fail(error);
+      console.error("Error adding images:", error); // Log the error for debugging
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/projects/{id}/images/order:
+ *   put:
+ *     summary: Reorder the images of a project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [imageIds]
+ *             properties:
+ *               imageIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: The `_id` of every image of the project, in the new order
+ *     responses:
+ *       200:
+ *         description: Images reordered successfully
+ *       400:
+ *         description: imageIds does not list every image of the project exactly once
+ *       404:
+ *         description: Project not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Server error
+ */
+router.put("/:id/images/order", async (req, res) => {
+  const { id } = req.params;
+  const { imageIds } = req.body;
+
+  try {
+    const existingProject = await Project.findById(id);
+    if (!existingProject) {
+      return res.status(404).json({ message: "Project not found" });
+    }
+
+    // The new order must be a permutation of the current images, so none is
+    // dropped or duplicated by a stale client
+    const images = Array.isArray(imageIds)
+      ? imageIds.map((imageId) => existingProject.images.id(imageId))
+      : [];
+    if (
+      images.length !== existingProject.images.length ||
+      images.some((image) => !image) ||
+      new Set(images).size !== images.length
+    ) {
+      return res.status(400).json({
+        message: "imageIds must list the ID of every image of the project exactly once",
+      });
+    }
+
+    existingProject.images = images;
+    const updatedProject = await existingProject.save();
+    res.status(200).json(updatedProject);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/images/cover:
+ *   put:
+ *     summary: Choose the cover image of a project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [imageId]
+ *             properties:
+ *               imageId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: The `_id` of one of the project's images, or null to use the first image
+ *     responses:
+ *       200:
+ *         description: Cover image set successfully
+ *       404:
+ *         description: Project or image not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Server error
+ */
+router.put("/:id/images/cover", async (req, res) => {
+  const { id } = req.params;
+  const { imageId } = req.body;
+
+  try {
+    const existingProject = await Project.findById(id);
+    if (!existingProject) {
+      return res.status(404).json({ message: "Project not found" });
+    }
+
+    if (imageId == null) {
+      existingProject.coverImageId = null;
+    } else {
+      const image = existingProject.images.id(imageId);
+      if (!image) {
+        return res.status(404).json({ message: "Image not found" });
+      }
+      existingProject.coverImageId = image._id;
+    }
+
+    const updatedProject = await existingProject.save();
+    res.status(200).json(updatedProject);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/{id}/images/{imageId}:
+ *   put:
+ *     summary: Update the alt text or caption of a project image
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The project ID
+ *       - in: path
+ *         name: imageId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The image ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               alt:
+ *                 type: string
+ *                 description: The new alt text, which cannot be empty
+ *               caption:
+ *                 type: string
+ *                 description: The new caption, or an empty string to remove it
+ *     responses:
+ *       200:
+ *         description: Image updated successfully
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Project or image not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Server error
+ */
+router.put("/:id/images/:imageId", async (req, res) => {
+  const { id, imageId } = req.params;
+  const { alt, caption } = req.body;
+
+  try {
+    if (alt !== undefined && (typeof alt !== "string" || !alt.trim())) {
+      return res.status(400).json({ message: "alt must be a non-empty string" });
+    }
+    if (caption !== undefined && typeof caption !== "string") {
+      return res.status(400).json({ message: "caption must be a string" });
+    }
+
+    const existingProject = await Project.findById(id);
+    if (!existingProject) {
+      return res.status(404).json({ message: "Project not found" });
+    }
+
+    const image = existingProject.images.id(imageId);
+    if (!image) {
+      return res.status(404).json({ message: "Image not found" });
+    }
+
+    if (alt !== undefined) image.alt = alt;
+    if (caption !== undefined) image.caption = caption.trim() || undefined;
+
+    const updatedProject = await existingProject.save();
+    res.status(200).json(updatedProject);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/projects/deleteImages/{id}:
+ *   delete:
+ *     summary: Delete images of a project by their IDs
+ *     description: >
+ *       The image IDs are sent either in a JSON body or as a repeated
+ *       `imageIds` query parameter (`?imageIds=a&imageIds=b`).
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The project ID
+ *       - in: query
+ *         name: imageIds
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         style: form
+ *         explode: true
+ *         required: false
+ *         description: The `_id` of each image to delete, when there is no JSON body
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               imageIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Images deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeleteImagesResult'
+ *       400:
+ *         description: No image IDs provided
+ *       404:
+ *         description: Project not found, or none of the images were found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeleteImagesResult'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Server error
+ */
+router.delete("/deleteImages/:id", async (req, res) => {
+  const { id } = req.params;
+  // A JSON body takes precedence over the query string; a single query
+  // value is a string, a repeated one an array
+  const requested = req.body?.imageIds ?? req.query.imageIds;
+  const imageIds = [...new Set([].concat(requested ?? []).map(String))];
+
+  try {
+    if (!imageIds.length) {
+      return res.status(400).json({ message: "At least one image ID must be provided" });
+    }
+
+    // Retrieve the existing project by ID
+    const existingProject = await Project.findById(id);
+    if (!existingProject) {
+      return res.status(404).json({ message: "Project not found" });
+    }
+
+    // Exact matches on the image IDs only
+    const removed = [];
+    const notFound = [];
+    const imagesToDelete = [];
+    for (const imageId of imageIds) {
+      const image = existingProject.images.id(imageId);
+      if (image) {
+        imagesToDelete.push(image);
+        removed.push(imageId);
+      } else {
+        notFound.push(imageId);
+      }
+    }
+
+    if (imagesToDelete.length === 0) {
+      return res
+        .status(404)
+        .json({ message: "No matching images found for deletion", removed, notFound });
+    }
+
+    // Remove the deleted images from the project's images array
+    for (const image of imagesToDelete) {
+      existingProject.images.pull(image._id);
+    }
+
+    // Save the updated project, then delete the images from S3
     await existingProject.save();
-    res.status(200).json({ message: "Images deleted successfully" });
+    await removeMedia(imagesToDelete);
+    res.status(200).json({ message: "Images deleted successfully", removed, notFound });
   } catch (error) {
     console.error("Error deleting images:", error); // Log the error for debugging
     res.status(500).json({ message: "Server error" });
@@ -513,6 +1516,8 @@ router.delete("/deleteImages/:id", async (req, res) => {
  *   put:
  *     summary: Update a project by ID
  *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -546,6 +1551,10 @@ router.delete("/deleteImages/:id", async (req, res) => {
  *         description: Project not found
  *       400:
  *         description: Invalid input
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Server error
  */
@@ -42,6 +42,8 @@ router.get("/getStats", async (req, res) => {
  *   post:
  *     summary: Create a new stats
  *     tags: [Stats]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -58,6 +60,10 @@ router.get("/getStats", async (req, res) => {
  *         description: Stat created successfully
  *       400:
  *         description: Invalid input
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 router.post("/addStats", async (req, res) => {
   const { title, description } = req.body;
@@ -81,6 +87,8 @@ router.post("/addStats", async (req, res) => {
  *   delete:
  *     summary: Delete a stat by ID
  *     tags: [Stats]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -93,6 +101,10 @@ router.post("/addStats", async (req, res) => {
  *         description: Stat deleted successfully
  *       404:
  *         description: Stat not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Server error
  */
@@ -117,6 +129,8 @@ router.delete("/deleteStat/:id", async (req, res) => {
  *   put:
  *     summary: Update a stat by ID
  *     tags: [Stats]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -142,6 +156,10 @@ router.delete("/deleteStat/:id", async (req, res) => {
  *         description: Stat not found
  *       400:
  *         description: Invalid input
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         description: Server error
  */
@@ -0,0 +1,45 @@
+// Creates an admin from the command line. Every admin route now requires an
+// admin session, so the very first account has to be created this way.
+//
+// Usage: npm run create-admin -- <name> <email> <password> [role]
+// The role defaults to owner.
+const mongoose = require("mongoose");
+const connectDB = require("../connectDB");
+const Admin = require("../models/Admin");
+const { hashPassword } = require("../services/authService");
+
+const run = async () => {
+  const [name, email, password, role = "owner"] = process.argv.slice(2);
+
+  if (!name || !email || !password) {
+    console.error(
+      "Usage: npm run create-admin -- <name> <email> <password> [role]"
+    );
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  try {
+    if (await Admin.findOne({ email })) {
+      console.error("Admin with this email already exists");
+      process.exitCode = 1;
+      return;
+    }
+
+    await Admin.create({
+      name,
+      email,
+      password: await hashPassword(password),
+      role,
+    });
+    console.log(`Admin ${email} created with role ${role}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
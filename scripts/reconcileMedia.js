@@ -0,0 +1,96 @@
+// Compares the media in storage with the media referenced by projects and
+// partners. Lists the orphaned objects no document references, unreferenced
+// objects outside projects/ and partners/, and the keys documents reference
+// that are missing from storage. Nothing is deleted unless --delete is
+// given, and then only orphans older than the grace period; objects outside
+// projects/ and partners/ are never deleted.
+//
+// Usage: npm run reconcile-media -- [--delete] [--grace-hours=<hours>] [--json]
+// The grace period defaults to MEDIA_ORPHAN_GRACE_HOURS, or 24 hours, and
+// must be at least 1 hour to delete.
+const mongoose = require("mongoose");
+const connectDB = require("../connectDB");
+const { reconcileMedia } = require("../services/mediaReconciler");
+
+const USAGE =
+  "Usage: npm run reconcile-media -- [--delete] [--grace-hours=<hours>] [--json]";
+
+const formatSize = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+const printReport = (report) => {
+  console.log(
+    `${report.dryRun ? "[dry run] " : ""}${report.objects} object(s) in storage, ${report.referenced} referenced key(s)`
+  );
+
+  const eligible = report.orphans.filter((orphan) => orphan.eligible);
+  console.log(
+    `${report.orphans.length} orphan(s), ${formatSize(report.orphanBytes)}; ${eligible.length} older than ${report.graceHours} hour(s)`
+  );
+  for (const orphan of report.orphans) {
+    const age = orphan.eligible ? "" : " (within grace period)";
+    console.log(`  ${orphan.key}${age}`);
+  }
+
+  console.log(
+    `${report.unmanaged.length} unreferenced object(s) outside projects/ and partners/, ${formatSize(report.unmanagedBytes)}; never deleted`
+  );
+  for (const { key } of report.unmanaged) {
+    console.log(`  ${key}`);
+  }
+
+  console.log(`${report.missing.length} missing object(s)`);
+  for (const { key, model, id } of report.missing) {
+    console.log(`  ${key} (${model} ${id})`);
+  }
+
+  if (!report.dryRun) {
+    console.log(`Deleted ${report.deleted.length} orphan(s)`);
+    for (const { key, error } of report.failed) {
+      console.error(`  could not delete ${key}: ${error}`);
+    }
+  }
+};
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const options = { deleteOrphans: false };
+  let json = false;
+
+  for (const arg of args) {
+    if (arg === "--delete") {
+      options.deleteOrphans = true;
+    } else if (arg === "--json") {
+      json = true;
+    } else if (arg.startsWith("--grace-hours=")) {
+      options.graceHours = Number(arg.slice("--grace-hours=".length));
+      if (!(options.graceHours >= 0)) {
+        console.error("--grace-hours must be a number of hours");
+        process.exit(1);
+      }
+    } else {
+      console.error(USAGE);
+      process.exit(1);
+    }
+  }
+
+  await connectDB();
+
+  try {
+    const report = await reconcileMedia(options);
+    if (json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+    if (report.failed.length) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -2,10 +2,20 @@ const dotenv = require("dotenv");
 
 dotenv.config();
 
+// Access tokens and local storage URLs are signed with JWT_SECRET; with the
+// example value anyone could forge them
+if (!process.env.JWT_SECRET || process.env.JWT_SECRET === "change-me") {
+  console.error("JWT_SECRET must be set to a random secret, see .env.example");
+  process.exit(1);
+}
+
 const express = require("express");
 const cors = require("cors");
 
 const connectDB = require("./connectDB");
+const { requireAdmin, requireRole, restrictWrites } = require("./middleware/auth");
+const { startWorker } = require("./services/jobQueue");
+const storage = require("./services/storage");
 const swaggerJsDoc = require("swagger-jsdoc");
 const swaggerUi = require("swagger-ui-express");
 
@@ -15,18 +25,30 @@ const statsRoutes = require("./routes/stats");
 const emailRoutes = require("./routes/email");
 const boxRoutes = require("./routes/box");
 const partnersRoutes = require("./routes/partners");
+const messagesRoutes = require("./routes/messages");
+const mediaRoutes = require("./routes/media");
 // const imageRoutes = require("./routes/images");
 // const videoRoutes = require("./routes/videos");
 
 const app = express();
 app.use(cors());
 
+// Needed behind a proxy so req.ip is the client address, e.g. TRUST_PROXY=1
+if (process.env.TRUST_PROXY) {
+  const trustProxy = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", isNaN(trustProxy) ? process.env.TRUST_PROXY : trustProxy);
+}
+
 // Middleware to parse JSON bodies
 app.use(express.json());
 
 // Connect to MongoDB
 connectDB();
 
+// Run queued background jobs (outbound email, video transcoding, media
+// cleanup, ...) in this process
+startWorker();
+
 // Swagger documentation setup
 const swaggerOptions = {
   swaggerDefinition: {
@@ -41,6 +63,23 @@ const swaggerOptions = {
         url: "http://localhost:5000", // Update this if your server runs on a different port
       },
     ],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+        },
+      },
+      responses: {
+        Unauthorized: {
+          description: "Access token is missing, invalid or expired",
+        },
+        Forbidden: {
+          description: "The admin is not allowed to perform this action",
+        },
+      },
+    },
   },
 
   apis: [
@@ -50,19 +89,48 @@ const swaggerOptions = {
     "./routes/stats.js",
     "./routes/partners.js",
     "./routes/box.js",
+    "./routes/messages.js",
+    "./routes/media.js",
   ],
 };
 
 const swaggerDocs = swaggerJsDoc(swaggerOptions);
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 
+// Uploaded media, when it is kept on the local disk (STORAGE_DRIVER=local)
+if (storage.router) {
+  app.use(storage.mountPath, storage.router);
+}
+
+// Routes that can be called without an admin session
+const publicRoutes = [
+  { method: "GET", path: "/projects/getProjects" },
+  { method: "GET", path: "/partners/getPartners" },
+  { method: "GET", path: "/stats/getStats" },
+  { method: "GET", path: "/box/getBoxDescription" },
+  { method: "POST", path: "/admin/loginAdmin" },
+  { method: "POST", path: "/admin/refreshToken" },
+  { method: "POST", path: "/admin/logout" },
+  { method: "POST", path: "/admin/forgot-password" },
+  { method: "POST", path: "/admin/reset-password" },
+  { method: "POST", path: "/email/send-email" },
+];
+
+// Require an admin session on everything else
+app.use("/api", requireAdmin(publicRoutes));
+
 // Use project routes
-app.use("/api/projects", projectRoutes);
+// Viewers only get read access to site content
+const contentWriters = restrictWrites("owner", "editor");
+
+app.use("/api/projects", contentWriters, projectRoutes);
 app.use("/api/admin", adminRoutes);
-app.use("/api/stats", statsRoutes);
-app.use("/api/email", emailRoutes);
-app.use("/api/partners", partnersRoutes);
-app.use("/api/box", boxRoutes);
+app.use("/api/stats", contentWriters, statsRoutes);
+app.use("/api/email", contentWriters, emailRoutes);
+app.use("/api/partners", contentWriters, partnersRoutes);
+app.use("/api/box", contentWriters, boxRoutes);
+app.use("/api/messages", contentWriters, messagesRoutes);
+app.use("/api/media", requireRole("owner"), mediaRoutes);
 // app.use("/api/image", imageRoutes);
 // app.use("/api/video", videoRoutes);
 
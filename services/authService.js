@@ -0,0 +1,209 @@
+const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const dotenv = require("dotenv");
+const RefreshToken = require("../models/RefreshToken");
+
+dotenv.config();
+
+const SALT_ROUNDS = 12;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+const PASSWORD_RESET_TTL_MINUTES =
+  Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Compared against when no admin matched, so that unknown accounts take as
+// long to reject as wrong passwords
+let dummyHash = null;
+
+/**
+ * Hashes a plaintext password with bcrypt.
+ * @param {string} password - The plaintext password.
+ * @returns {Promise<string>} The bcrypt hash.
+ */
+async function hashPassword(password) {
+  return bcrypt.hash(password, SALT_ROUNDS);
+}
+
+/**
+ * Checks a new password against the password policy.
+ * @param {string} password - The new plaintext password.
+ * @returns {string|null} An error message, or null if the password is acceptable.
+ */
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  return null;
+}
+
+/**
+ * Checks whether a stored password value is already a bcrypt hash.
+ * Admins created before hashing was introduced still hold plaintext.
+ * @param {string} value - The stored password value.
+ * @returns {boolean}
+ */
+function isPasswordHash(value) {
+  return typeof value === "string" && /^\$2[aby]\$\d{2}\$/.test(value);
+}
+
+/**
+ * Compares a plaintext password against the stored value.
+ * @param {string} password - The plaintext password from the request.
+ * @param {string} [stored] - The stored hash (or legacy plaintext). When
+ *   missing, a dummy hash is checked and false is returned.
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  if (!stored) {
+    dummyHash = dummyHash || (await hashPassword("dummy-password"));
+    await bcrypt.compare(String(password), dummyHash);
+    return false;
+  }
+
+  if (!isPasswordHash(stored)) {
+    const a = Buffer.from(String(password));
+    const b = Buffer.from(String(stored));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+  return bcrypt.compare(password, stored);
+}
+
+/**
+ * Signs a short-lived access token for an admin.
+ * @param {object} admin - The admin document.
+ * @returns {string} The signed JWT.
+ */
+function signAccessToken(admin) {
+  return jwt.sign({ sub: admin._id.toString() }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+}
+
+/**
+ * Verifies an access token and returns its payload.
+ * Throws if the token is invalid or expired.
+ * @param {string} token - The JWT from the Authorization header.
+ * @returns {object} The decoded payload.
+ */
+function verifyAccessToken(token) {
+  return jwt.verify(token, process.env.JWT_SECRET);
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Issues a new refresh token for an admin. Only its hash is stored.
+ * @param {object} admin - The admin document.
+ * @returns {Promise<string>} The opaque refresh token.
+ */
+async function issueRefreshToken(admin) {
+  const token = crypto.randomBytes(48).toString("hex");
+  await RefreshToken.create({
+    admin: admin._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+  return token;
+}
+
+/**
+ * Exchanges a refresh token for a new one, revoking the old token.
+ * Presenting an already revoked token revokes every session of that admin,
+ * since it means the token has been stolen or replayed.
+ * @param {string} token - The refresh token from the client.
+ * @returns {Promise<{adminId: string, refreshToken: string}|null>} Null if the token is not valid.
+ */
+async function rotateRefreshToken(token) {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  // Revoked in the same step as it is checked, so two requests racing with
+  // the same token cannot both get a new one
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now }
+  );
+
+  if (!stored) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+    if (existing && existing.revokedAt && existing.expiresAt > now) {
+      await revokeAllRefreshTokens(existing.admin);
+    }
+    return null;
+  }
+
+  const refreshToken = await issueRefreshToken({ _id: stored.admin });
+  return { adminId: stored.admin.toString(), refreshToken };
+}
+
+/**
+ * Revokes a single refresh token.
+ * @param {string} token - The refresh token to revoke.
+ * @returns {Promise<object|null>} The revoked token document, or null if unknown.
+ */
+async function revokeRefreshToken(token) {
+  return RefreshToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+}
+
+/**
+ * Revokes every active refresh token belonging to an admin.
+ * @param {string} adminId - The admin ID.
+ * @returns {Promise<void>}
+ */
+async function revokeAllRefreshTokens(adminId) {
+  await RefreshToken.updateMany(
+    { admin: adminId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+}
+
+/**
+ * Generates a single-use password reset token and stores its hash and
+ * expiry on the admin. The caller is responsible for saving the admin.
+ * @param {object} admin - The admin document.
+ * @returns {string} The plaintext token to email to the admin.
+ */
+function createPasswordResetToken(admin) {
+  const token = crypto.randomBytes(32).toString("hex");
+  admin.passwordResetTokenHash = hashToken(token);
+  admin.passwordResetExpiresAt = new Date(
+    Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+  );
+  return token;
+}
+
+/**
+ * Builds the query that matches the admin owning a still valid reset token.
+ * @param {string} token - The plaintext reset token.
+ * @returns {object} A MongoDB filter.
+ */
+function passwordResetFilter(token) {
+  return {
+    passwordResetTokenHash: hashToken(token),
+    passwordResetExpiresAt: { $gt: new Date() },
+  };
+}
+
+module.exports = {
+  hashPassword,
+  validatePassword,
+  isPasswordHash,
+  verifyPassword,
+  signAccessToken,
+  verifyAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+  createPasswordResetToken,
+  passwordResetFilter,
+  PASSWORD_RESET_TTL_MINUTES,
+};
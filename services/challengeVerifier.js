@@ -0,0 +1,78 @@
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+// Any siteverify-style endpoint works (Cloudflare Turnstile, hCaptcha, reCAPTCHA)
+const DEFAULT_VERIFY_URL =
+  "https://challenges.cloudflare.com/turnstile/v0/siteverify";
+
+/**
+ * Default verifier: posts the token to the configured siteverify endpoint
+ * with CHALLENGE_SECRET and trusts its `success` field.
+ * @param {string} token - The challenge token sent by the browser.
+ * @param {string} ip - The client IP address.
+ * @returns {Promise<boolean>}
+ */
+async function siteverify(token, ip) {
+  const response = await fetch(
+    process.env.CHALLENGE_VERIFY_URL || DEFAULT_VERIFY_URL,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        secret: process.env.CHALLENGE_SECRET,
+        response: token,
+        remoteip: ip,
+      }),
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Challenge verification failed with status ${response.status}`);
+  }
+
+  const result = await response.json();
+  return result.success === true;
+}
+
+// Only enabled when a secret is configured
+let verifier = process.env.CHALLENGE_SECRET ? siteverify : null;
+
+/**
+ * Replaces the challenge verifier, e.g. with a stub in tests. Pass null to
+ * turn challenge verification off.
+ * @param {((token: string, ip: string) => Promise<boolean>)|null} fn
+ */
+function setChallengeVerifier(fn) {
+  verifier = fn;
+}
+
+/**
+ * Whether submissions currently have to carry a challenge token.
+ * @returns {boolean}
+ */
+function isChallengeEnabled() {
+  return typeof verifier === "function";
+}
+
+/**
+ * Verifies a challenge token with the current verifier.
+ * @param {string} token - The challenge token sent by the browser.
+ * @param {string} ip - The client IP address.
+ * @returns {Promise<boolean>} Always true when verification is off.
+ */
+async function verifyChallenge(token, ip) {
+  if (!isChallengeEnabled()) {
+    return true;
+  }
+  if (!token || typeof token !== "string") {
+    return false;
+  }
+  return verifier(token, ip);
+}
+
+module.exports = {
+  setChallengeVerifier,
+  isChallengeEnabled,
+  verifyChallenge,
+};
@@ -0,0 +1,157 @@
+const dotenv = require("dotenv");
+const ContactMessage = require("../models/ContactMessage");
+const { sendMail } = require("./mailService");
+const { registerHandler, enqueue, retryJob } = require("./jobQueue");
+const { renderTemplate } = require("./templateService");
+
+dotenv.config();
+
+const JOB_TYPE = "contact-notification";
+const AUTO_REPLY_JOB_TYPE = "contact-auto-reply";
+const MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS) || 6;
+// The auto-reply goes to whatever address the visitor typed, so by default
+// it is only sent when the form is protected by a challenge
+const AUTO_REPLY_ENABLED = process.env.CONTACT_AUTO_REPLY
+  ? process.env.CONTACT_AUTO_REPLY === "true"
+  : Boolean(process.env.CHALLENGE_SECRET);
+
+// Comma-separated list of addresses that receive contact form messages
+const getContactRecipients = () =>
+  (process.env.CONTACT_RECIPIENTS || "")
+    .split(",")
+    .map((address) => address.trim())
+    .filter(Boolean);
+
+/**
+ * Sends the notification for one contact message and mirrors the outcome of
+ * the attempt onto the message, so the inbox shows the delivery status.
+ */
+registerHandler(JOB_TYPE, async ({ contactMessageId }, job) => {
+  const contactMessage = await ContactMessage.findById(contactMessageId);
+  if (!contactMessage) {
+    // Deleted from the inbox before it could be sent
+    return;
+  }
+
+  contactMessage.deliveryAttempts = job.attempts;
+  contactMessage.emailJob = job._id;
+
+  try {
+    const recipients = getContactRecipients();
+    if (recipients.length === 0) {
+      throw new Error("CONTACT_RECIPIENTS is not configured");
+    }
+
+    const content = await renderTemplate(JOB_TYPE, {
+      name: contactMessage.name,
+      email: contactMessage.email,
+      subject: contactMessage.subject,
+      message: contactMessage.message,
+    });
+
+    // Sent from the site's own mailbox; replies go straight to the visitor
+    await sendMail({
+      to: recipients,
+      replyTo: { name: contactMessage.name, address: contactMessage.email },
+      ...content,
+    });
+  } catch (error) {
+    contactMessage.deliveryStatus =
+      job.attempts >= job.maxAttempts ? "failed" : "pending";
+    contactMessage.deliveryError = error.message;
+    await contactMessage.save();
+    throw error;
+  }
+
+  contactMessage.deliveryStatus = "sent";
+  contactMessage.deliveryError = undefined;
+  contactMessage.deliveredAt = new Date();
+  await contactMessage.save();
+});
+
+/**
+ * Sends the acknowledgement back to the visitor. It deliberately carries
+ * nothing the visitor typed, not even their name, so the form cannot be
+ * used to mail arbitrary content to third parties.
+ */
+registerHandler(AUTO_REPLY_JOB_TYPE, async ({ contactMessageId }) => {
+  const contactMessage = await ContactMessage.findById(contactMessageId);
+  // Marked as spam from the inbox before it could be sent
+  if (!contactMessage || contactMessage.status === "spam") {
+    return;
+  }
+
+  const content = await renderTemplate(AUTO_REPLY_JOB_TYPE, {});
+
+  await sendMail({
+    to: contactMessage.email,
+    ...content,
+  });
+});
+
+async function queueNotificationJob(contactMessage) {
+  const job = await enqueue(
+    JOB_TYPE,
+    { contactMessageId: contactMessage._id },
+    { maxAttempts: MAX_ATTEMPTS }
+  );
+
+  contactMessage.emailJob = job._id;
+  contactMessage.deliveryStatus = "pending";
+  try {
+    await contactMessage.save();
+  } catch (error) {
+    // The job is queued either way and links itself to the message when it
+    // runs; failing here would get the message re-sent from the inbox
+    console.error("Could not link the contact message to its email job:", error.message);
+  }
+}
+
+/**
+ * Queues the notification email for a newly stored contact message, and the
+ * auto-reply to the visitor when enabled (CONTACT_AUTO_REPLY, or by default
+ * when CHALLENGE_SECRET is set). Messages held as spam get neither.
+ * Only throws when the notification could not be queued; an auto-reply
+ * that cannot be queued is logged and skipped.
+ * @param {object} contactMessage - The ContactMessage document.
+ * @returns {Promise<void>}
+ */
+async function queueContactNotification(contactMessage) {
+  await queueNotificationJob(contactMessage);
+
+  if (AUTO_REPLY_ENABLED && contactMessage.status !== "spam") {
+    try {
+      await enqueue(
+        AUTO_REPLY_JOB_TYPE,
+        { contactMessageId: contactMessage._id },
+        { maxAttempts: MAX_ATTEMPTS }
+      );
+    } catch (error) {
+      console.error("Could not queue the contact auto-reply:", error.message);
+    }
+  }
+}
+
+/**
+ * Sends the notification for a message once more, reusing its job when it
+ * still exists. The visitor does not get a second auto-reply.
+ * @param {object} contactMessage - The ContactMessage document.
+ * @returns {Promise<void>}
+ */
+async function resendContactNotification(contactMessage) {
+  const job = contactMessage.emailJob
+    ? await retryJob(contactMessage.emailJob)
+    : null;
+
+  if (!job) {
+    return queueNotificationJob(contactMessage);
+  }
+
+  contactMessage.deliveryStatus = "pending";
+  await contactMessage.save();
+}
+
+module.exports = {
+  queueContactNotification,
+  resendContactNotification,
+};
@@ -0,0 +1,65 @@
+// Built-in email templates. Admins can override any of them through
+// /api/email/templates; deleting the override brings the default back.
+// Placeholders look like {{name}} and are HTML-escaped in the html variant.
+
+const layout = (content) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:0;background:#f4f4f4;font-family:Helvetica,Arial,sans-serif;color:#222;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f4f4f4;padding:24px 0;">
+      <tr>
+        <td align="center">
+          <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:6px;overflow:hidden;">
+            <tr>
+              <td style="background:#111;color:#fff;padding:20px 32px;font-size:20px;font-weight:bold;letter-spacing:1px;">
+                {{siteName}}
+              </td>
+            </tr>
+            <tr>
+              <td style="padding:32px;font-size:15px;line-height:1.6;">
+${content}
+              </td>
+            </tr>
+            <tr>
+              <td style="padding:16px 32px;background:#fafafa;color:#888;font-size:12px;">
+                &copy; {{year}} {{siteName}}
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+
+module.exports = {
+  "contact-notification": {
+    description: "Sent to the site team for every contact form message",
+    subject: "[Contact form] {{subject}}",
+    html: layout(`                <p><strong>New message from the website contact form</strong></p>
+                <p>
+                  <strong>From:</strong> {{name}} &lt;{{email}}&gt;<br />
+                  <strong>Subject:</strong> {{subject}}
+                </p>
+                <div style="white-space:pre-wrap;border-left:3px solid #ddd;padding-left:12px;">{{message}}</div>
+                <p style="color:#888;font-size:13px;">Reply to this email to answer {{name}} directly.</p>`),
+    text: `New message from the website contact form
+
+From: {{name}} <{{email}}>
+Subject: {{subject}}
+
+{{message}}`,
+  },
+  "contact-auto-reply": {
+    description: "Sent back to the visitor to confirm their message arrived",
+    subject: "We received your message",
+    html: layout(`                <p>Hello,</p>
+                <p>Thank you for contacting {{siteName}}. We have received your message and will get back to you as soon as possible.</p>
+                <p>Best regards,<br />The {{siteName}} team</p>`),
+    text: `Hello,
+
+Thank you for contacting {{siteName}}. We have received your message and will get back to you as soon as possible.
+
+Best regards,
+The {{siteName}} team`,
+  },
+};
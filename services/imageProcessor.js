@@ -0,0 +1,127 @@
+const sharp = require("sharp");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+// Widths of the responsive renditions, e.g. IMAGE_WIDTHS=320,640,1280,1920
+const WIDTHS = (process.env.IMAGE_WIDTHS || "320,640,1280,1920")
+  .split(",")
+  .map(Number)
+  .filter((width) => width > 0)
+  .sort((a, b) => a - b);
+const THUMBNAIL_SIZE = Number(process.env.IMAGE_THUMBNAIL_SIZE) || 200;
+// Width of the blurred preview inlined as a data URI
+const LQIP_WIDTH = 16;
+
+// Renditions are made in every one of these formats, smallest files first
+const RENDITION_FORMATS = [
+  { format: "avif", mimeType: "image/avif", options: { quality: 50, effort: 4 } },
+  { format: "webp", mimeType: "image/webp", options: { quality: 80 } },
+];
+
+// How the original is re-encoded, by its type
+const ORIGINAL_FORMATS = {
+  "image/jpeg": { format: "jpeg", options: { quality: 90, mozjpeg: true } },
+  "image/png": { format: "png", options: {} },
+  "image/webp": { format: "webp", options: { quality: 90 } },
+  "image/avif": { format: "avif", options: { quality: 70, effort: 4 } },
+};
+
+const encode = async (pipeline, format, options, mimeType) => {
+  const { data, info } = await pipeline
+    .toFormat(format, options)
+    .toBuffer({ resolveWithObject: true });
+  return { buffer: data, mimeType, width: info.width, height: info.height };
+};
+
+const toHex = ({ r, g, b }) =>
+  `#${[r, g, b].map((value) => value.toString(16).padStart(2, "0")).join("")}`;
+
+/**
+ * Computes what the frontend needs to reserve space for an image and show
+ * a placeholder while it loads.
+ * @param {sharp.Sharp} image - The upright image.
+ * @returns {Promise<{dominantColor: string, lqip: string}>} The dominant
+ *   color as `#rrggbb`, and a tiny blurred WebP as a data URI (LQIP).
+ */
+async function describePlaceholder(image) {
+  const { dominant } = await image.clone().stats();
+  const preview = await image
+    .clone()
+    .resize({ width: LQIP_WIDTH })
+    .blur()
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  return {
+    dominantColor: toHex(dominant),
+    lqip: `data:image/webp;base64,${preview.toString("base64")}`,
+  };
+}
+
+/**
+ * Reads the upright dimensions and the placeholder of an image.
+ * @param {string|Buffer} input - The image file path or content.
+ * @returns {Promise<{width: number, height: number, dominantColor: string, lqip: string}>}
+ */
+async function describeImage(input) {
+  const image = sharp(input, { failOn: "error" }).rotate();
+  const { width, height, orientation } = await image.metadata();
+  // EXIF orientations 5-8 are rotated by 90 degrees
+  const upright = orientation >= 5 ? { width: height, height: width } : { width, height };
+  return { ...upright, ...(await describePlaceholder(image)) };
+}
+
+/**
+ * Prepares an uploaded image for the web. The image is turned upright
+ * according to its EXIF orientation and every metadata block (EXIF, GPS,
+ * XMP, ...) is dropped. Renditions are never wider than the original.
+ * @param {string} filePath - The local path of the upload.
+ * @param {string} mimeType - The sniffed type of the upload, see middleware/upload.js.
+ * @returns {Promise<{original: object, renditions: object[], thumbnail: object, placeholder: object}>}
+ *   Each image is `{buffer, mimeType, width, height}`; renditions also have
+ *   a `format`. The placeholder is `{dominantColor, lqip}`.
+ */
+async function processImage(filePath, mimeType) {
+  // rotate() without an angle applies the EXIF orientation; sharp writes no
+  // metadata unless asked to
+  const source = sharp(filePath, { failOn: "error" }).rotate();
+
+  const { format, options } = ORIGINAL_FORMATS[mimeType];
+  const original = await encode(source.clone(), format, options, mimeType);
+
+  const widths = WIDTHS.filter((width) => width < original.width);
+  if (original.width <= WIDTHS[WIDTHS.length - 1]) {
+    widths.push(original.width);
+  }
+
+  // One at a time, encoding AVIF is heavy on memory and CPU
+  const renditions = [];
+  for (const width of widths) {
+    for (const rendition of RENDITION_FORMATS) {
+      const image = await encode(
+        source.clone().resize({ width }),
+        rendition.format,
+        rendition.options,
+        rendition.mimeType
+      );
+      renditions.push({ ...image, format: rendition.format });
+    }
+  }
+
+  const thumbnail = await encode(
+    source.clone().resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "cover" }),
+    "webp",
+    { quality: 75 },
+    "image/webp"
+  );
+
+  const placeholder = await describePlaceholder(source);
+
+  return { original, renditions, thumbnail, placeholder };
+}
+
+module.exports = {
+  processImage,
+  describeImage,
+};
@@ -0,0 +1,215 @@
+const dotenv = require("dotenv");
+const Job = require("../models/Job");
+
+dotenv.config();
+
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+// A job still marked processing after this long is assumed abandoned
+// (e.g. the instance running it crashed) and is picked up again. Running
+// jobs renew their lock at half this interval, so long jobs are kept.
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+const handlers = new Map();
+// Jobs of each type currently running in this process
+const running = new Map();
+let timer = null;
+let draining = false;
+
+/**
+ * Registers the function that runs jobs of a given type. It receives the job
+ * payload and the job document; throwing makes the job retry with backoff.
+ * Jobs of different types run side by side, so a slow job does not hold up
+ * the others.
+ * @param {string} type - The job type.
+ * @param {(payload: object, job: object) => Promise<void>} handler
+ * @param {object} [options]
+ * @param {number} [options.concurrency=1] - Jobs of this type run at once in this process.
+ */
+function registerHandler(type, handler, { concurrency = 1 } = {}) {
+  handlers.set(type, { handler, concurrency });
+}
+
+// Types this process has a handler for and room to run another job of
+const availableTypes = () =>
+  [...handlers]
+    .filter(([type, { concurrency }]) => (running.get(type) || 0) < concurrency)
+    .map(([type]) => type);
+
+/**
+ * Adds a job to the queue.
+ * @param {string} type - The job type.
+ * @param {object} payload - The job input.
+ * @param {object} [options]
+ * @param {number} [options.maxAttempts] - Attempts before the job is marked failed.
+ * @param {Date} [options.runAt] - Do not run the job before this time.
+ * @returns {Promise<object>} The job document.
+ */
+async function enqueue(type, payload, options = {}) {
+  return Job.create({ type, payload, ...options });
+}
+
+/**
+ * Delay before the next attempt, doubling after every failure.
+ * @param {number} attempts - Attempts made so far.
+ * @returns {number} Milliseconds.
+ */
+function backoffDelay(attempts) {
+  return Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+}
+
+/**
+ * Atomically claims the next job that is due, so that several instances can
+ * run workers against the same collection.
+ * @param {string[]} types - Only claim jobs of these types.
+ * @returns {Promise<object|null>}
+ */
+async function claimNextJob(types) {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: types },
+      $or: [
+        { status: "pending", runAt: { $lte: now } },
+        {
+          status: "processing",
+          lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) },
+        },
+      ],
+    },
+    { $set: { status: "processing", lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Runs a claimed job and records the outcome.
+ * @param {object} job - A job returned by claimNextJob.
+ * @returns {Promise<void>}
+ */
+async function runJob(job) {
+  const { handler } = handlers.get(job.type);
+  const heartbeat = setInterval(() => {
+    Job.updateOne(
+      { _id: job._id, status: "processing" },
+      { $set: { lockedAt: new Date() } }
+    ).catch((error) => {
+      console.error(`Could not renew the lock of job ${job._id}:`, error.message);
+    });
+  }, LOCK_TIMEOUT_MS / 2);
+
+  try {
+    await handler(job.payload, job);
+
+    job.status = "completed";
+    job.completedAt = new Date();
+    job.lastError = null;
+  } catch (error) {
+    console.error(`Job ${job._id} (${job.type}) failed:`, error.message);
+
+    job.lastError = error.message;
+    if (job.attempts >= job.maxAttempts) {
+      job.status = "failed";
+    } else {
+      job.status = "pending";
+      job.runAt = new Date(Date.now() + backoffDelay(job.attempts));
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  job.lockedAt = null;
+  await job.save();
+}
+
+/**
+ * Starts due jobs until none are left or every type is at its concurrency.
+ * Jobs keep running in the background after this resolves.
+ * @returns {Promise<void>}
+ */
+async function drainQueue() {
+  if (draining) {
+    return;
+  }
+
+  draining = true;
+  try {
+    let types;
+    let job;
+    while ((types = availableTypes()).length && (job = await claimNextJob(types))) {
+      const { type } = job;
+      running.set(type, (running.get(type) || 0) + 1);
+
+      runJob(job)
+        .catch((error) => {
+          console.error(`Could not record the outcome of job ${job._id}:`, error.message);
+        })
+        .finally(() => {
+          running.set(type, running.get(type) - 1);
+          // Another job of this type may be waiting
+          if (timer) {
+            drainQueue().catch((error) => {
+              console.error("Job worker error:", error.message);
+            });
+          }
+        });
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Starts polling for due jobs in this process.
+ * @param {object} [options]
+ * @param {number} [options.pollIntervalMs] - How often to look for jobs.
+ */
+function startWorker({ pollIntervalMs = POLL_INTERVAL_MS } = {}) {
+  if (timer) {
+    return;
+  }
+
+  timer = setInterval(() => {
+    drainQueue().catch((error) => {
+      console.error("Job worker error:", error.message);
+    });
+  }, pollIntervalMs);
+}
+
+/**
+ * Stops polling. A job that is already running is allowed to finish.
+ */
+function stopWorker() {
+  clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * Puts a failed job back in the queue with a fresh set of attempts.
+ * @param {string} jobId - The job ID.
+ * @returns {Promise<object|null>} The job, or null if it does not exist or has not failed.
+ */
+async function retryJob(jobId) {
+  return Job.findOneAndUpdate(
+    { _id: jobId, status: "failed" },
+    {
+      $set: {
+        status: "pending",
+        attempts: 0,
+        runAt: new Date(),
+        lastError: null,
+      },
+    },
+    { new: true }
+  );
+}
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  drainQueue,
+  startWorker,
+  stopWorker,
+  retryJob,
+};
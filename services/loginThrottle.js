@@ -0,0 +1,94 @@
+const dotenv = require("dotenv");
+const LoginAttempt = require("../models/LoginAttempt");
+
+dotenv.config();
+
+// Failures allowed before a key gets locked
+const ACCOUNT_MAX_FAILURES = Number(process.env.LOGIN_ACCOUNT_MAX_FAILURES) || 5;
+const IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+
+// The first lockout lasts BASE_LOCK_MS and doubles with every further failure
+const BASE_LOCK_MS = (Number(process.env.LOGIN_LOCK_BASE_SECONDS) || 60) * 1000;
+const MAX_LOCK_MS = (Number(process.env.LOGIN_LOCK_MAX_SECONDS) || 60 * 60) * 1000;
+
+/**
+ * Builds the throttle keys for a login attempt.
+ * @param {string} login - The identifier the client tried to log in with.
+ * @param {string} ip - The client IP address.
+ * @returns {{account: string, ip: string}}
+ */
+function attemptKeys(login, ip) {
+  return {
+    account: `account:${String(login).trim().toLowerCase()}`,
+    ip: `ip:${ip}`,
+  };
+}
+
+function maxFailuresFor(key) {
+  return key.startsWith("ip:") ? IP_MAX_FAILURES : ACCOUNT_MAX_FAILURES;
+}
+
+/**
+ * Returns how long the given keys are still locked out for.
+ * @param {{account: string, ip: string}} keys - The throttle keys.
+ * @returns {Promise<number>} Milliseconds until the lockout ends, 0 if not locked.
+ */
+async function getLockoutRemaining(keys) {
+  const now = new Date();
+  const locked = await LoginAttempt.find({
+    key: { $in: Object.values(keys) },
+    lockedUntil: { $gt: now },
+  });
+
+  return locked.reduce(
+    (remaining, attempt) =>
+      Math.max(remaining, attempt.lockedUntil.getTime() - now.getTime()),
+    0
+  );
+}
+
+/**
+ * Records a failed login for every key, locking the ones that went over
+ * their limit with an exponentially growing lockout.
+ * @param {{account: string, ip: string}} keys - The throttle keys.
+ * @returns {Promise<void>}
+ */
+async function recordFailure(keys) {
+  const now = new Date();
+
+  await Promise.all(
+    Object.values(keys).map(async (key) => {
+      const attempt = await LoginAttempt.findOneAndUpdate(
+        { key },
+        { $inc: { failures: 1 }, $set: { lastFailureAt: now } },
+        { upsert: true, new: true }
+      );
+
+      const overLimit = attempt.failures - maxFailuresFor(key);
+      if (overLimit >= 0) {
+        const lockMs = Math.min(BASE_LOCK_MS * 2 ** overLimit, MAX_LOCK_MS);
+        await LoginAttempt.updateOne(
+          { key },
+          { $set: { lockedUntil: new Date(now.getTime() + lockMs) } }
+        );
+      }
+    })
+  );
+}
+
+/**
+ * Clears the failure counter of an account after a successful login.
+ * The IP counter is left alone so one valid login cannot reset it.
+ * @param {{account: string, ip: string}} keys - The throttle keys.
+ * @returns {Promise<void>}
+ */
+async function recordSuccess(keys) {
+  await LoginAttempt.deleteOne({ key: keys.account });
+}
+
+module.exports = {
+  attemptKeys,
+  getLockoutRemaining,
+  recordFailure,
+  recordSuccess,
+};
@@ -0,0 +1,46 @@
+const nodemailer = require("nodemailer");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+let transporter = null;
+
+/**
+ * Returns the shared SMTP transport, created from the SMTP_* env variables
+ * on first use.
+ * @returns {import("nodemailer").Transporter}
+ */
+function getTransporter() {
+  if (!transporter) {
+    const port = Number(process.env.SMTP_PORT) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE
+        ? process.env.SMTP_SECURE === "true"
+        : port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transporter;
+}
+
+/**
+ * Sends an email through the configured SMTP transport.
+ * The sender defaults to MAIL_FROM.
+ * @param {object} options - Nodemailer message options (to, subject, text, ...).
+ * @returns {Promise<object>} The Nodemailer delivery info.
+ */
+async function sendMail(options) {
+  return getTransporter().sendMail({
+    from: process.env.MAIL_FROM,
+    ...options,
+  });
+}
+
+module.exports = {
+  getTransporter,
+  sendMail,
+};
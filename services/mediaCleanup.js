@@ -0,0 +1,175 @@
+const dotenv = require("dotenv");
+const Project = require("../models/Project");
+const Partner = require("../models/Partners");
+const storage = require("./storage");
+const { registerHandler, enqueue } = require("./jobQueue");
+const { deleteFile, mediaKeys, hlsPrefix } = require("./s3Service");
+
+dotenv.config();
+
+const JOB_TYPE = "media-cleanup";
+// Retried until it succeeds by default: whatever is left behind keeps
+// costing storage and stays reachable by its URL
+const MAX_ATTEMPTS = Number(process.env.MEDIA_CLEANUP_MAX_ATTEMPTS) || Infinity;
+
+// The media each kind of document holds, to delete them along with it
+const DOCUMENTS = {
+  Project: { model: Project, media: (project) => [...project.images, project.video] },
+  Partner: { model: Partner, media: (partner) => [partner.image] },
+};
+
+// The objects behind a list of media, as stored in a job payload
+const describeMedia = (mediaList) => {
+  const media = mediaList.filter(Boolean);
+  return {
+    keys: [...new Set(media.flatMap(mediaKeys))],
+    prefixes: media.map(hlsPrefix).filter(Boolean),
+  };
+};
+
+/**
+ * Deletes objects by key and everything under the given prefixes. Every
+ * deletion is attempted even if some fail; deleting an object that is
+ * already gone succeeds, so a failed run can simply be repeated.
+ * @param {{keys: string[], prefixes: string[]}} objects
+ * @returns {Promise<void>}
+ */
+async function deleteObjects({ keys = [], prefixes = [] }) {
+  const listed = await Promise.all(prefixes.map((prefix) => storage.list(prefix)));
+  const allKeys = [...new Set([...keys, ...listed.flat().map((object) => object.key)])];
+
+  const results = await Promise.allSettled(allKeys.map((key) => deleteFile(key)));
+  const failures = results.filter((result) => result.status === "rejected");
+  if (failures.length) {
+    throw new Error(
+      `${failures.length} of ${allKeys.length} object(s) could not be deleted: ${failures[0].reason.message}`
+    );
+  }
+}
+
+/**
+ * Deletes objects that no document references anymore or, for a document
+ * marked by scheduleDeletion, its media and then the document itself.
+ */
+registerHandler(JOB_TYPE, async ({ keys, prefixes, document }) => {
+  if (!document) {
+    return deleteObjects({ keys, prefixes });
+  }
+
+  const { model, media } = DOCUMENTS[document.model];
+  const deleted = await model.findOne({ _id: document.id, deletedAt: { $ne: null } });
+  if (!deleted) {
+    // Removed by an earlier run
+    return;
+  }
+
+  // The media are read now rather than when the deletion was scheduled, so
+  // files attached in the meantime go too
+  await deleteObjects(describeMedia(media(deleted)));
+  await model.deleteOne({ _id: deleted._id, deletedAt: { $ne: null } });
+});
+
+/**
+ * Deletes the stored objects of media that no document references: uploads
+ * rolled back after a failed save, or media removed from or replaced in a
+ * saved document. Objects that cannot be deleted right away are queued and
+ * retried in the background. Never throws, the document change it follows
+ * stands either way.
+ * @param {Array<object|null>} mediaList - Media objects or subdocuments; nulls are ignored.
+ * @returns {Promise<void>}
+ */
+async function removeMedia(mediaList) {
+  const objects = describeMedia(mediaList);
+  if (!objects.keys.length) {
+    return;
+  }
+
+  try {
+    await deleteObjects(objects);
+  } catch (error) {
+    console.error("Could not delete media, retrying in the background:", error.message);
+    try {
+      await enqueue(JOB_TYPE, objects, { maxAttempts: MAX_ATTEMPTS });
+    } catch (queueError) {
+      // The objects are left behind as orphans
+      console.error(
+        `Could not queue the deletion of ${objects.keys.join(", ")}:`,
+        queueError.message
+      );
+    }
+  }
+}
+
+/**
+ * Waits for a set of uploads. If any of them fails, the ones that succeeded
+ * are removed again and the first error is thrown, so a failed request
+ * leaves nothing behind in storage.
+ * @param {Promise<object|null>[]} uploads - Promises of media objects, e.g. from uploadMedia.
+ * @returns {Promise<Array<object|null>>} The media objects, in order.
+ */
+async function uploadAll(uploads) {
+  const results = await Promise.allSettled(uploads);
+  const failure = results.find((result) => result.status === "rejected");
+  if (failure) {
+    await removeMedia(
+      results.filter((result) => result.status === "fulfilled").map((result) => result.value)
+    );
+    throw failure.reason;
+  }
+  return results.map((result) => result.value);
+}
+
+/**
+ * Saves a document that references newly uploaded media. If the save fails,
+ * on validation for instance, the uploads are removed before the error is
+ * thrown.
+ * @param {object} document - The Mongoose document.
+ * @param {Array<object|null>} uploads - The media uploaded for this change.
+ * @returns {Promise<object>} The saved document.
+ */
+async function saveWithUploads(document, uploads) {
+  try {
+    return await document.save();
+  } catch (error) {
+    await removeMedia(uploads);
+    throw error;
+  }
+}
+
+/**
+ * Deletes a project or partner along with its media. The document is
+ * marked as deleted, which hides it at once (see models/softDelete.js), and
+ * a job deletes its media from storage, retrying until it succeeds, before
+ * removing the document for good.
+ * @param {object} document - A Project or Partner document.
+ * @returns {Promise<void>}
+ */
+async function scheduleDeletion(document) {
+  const Model = document.constructor;
+  await Model.updateOne(
+    { _id: document._id },
+    { $set: { deletedAt: new Date() } }
+  );
+
+  try {
+    await enqueue(
+      JOB_TYPE,
+      { document: { model: Model.modelName, id: document._id.toString() } },
+      { maxAttempts: MAX_ATTEMPTS }
+    );
+  } catch (error) {
+    // Without a job nothing would ever remove it, so bring it back
+    await Model.updateOne(
+      { _id: document._id, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null } }
+    );
+    throw error;
+  }
+}
+
+module.exports = {
+  removeMedia,
+  uploadAll,
+  saveWithUploads,
+  scheduleDeletion,
+};
@@ -0,0 +1,153 @@
+const dotenv = require("dotenv");
+const Project = require("../models/Project");
+const Partner = require("../models/Partners");
+const storage = require("./storage");
+const { mediaKeys, hlsPrefix } = require("./s3Service");
+
+dotenv.config();
+
+// Only objects under these prefixes are managed by the API and may be
+// deleted. Unreferenced objects elsewhere in the bucket, such as uploads
+// from before media were keyed by document, are only reported.
+const MEDIA_PREFIXES = ["projects/", "partners/"];
+// Unreferenced objects younger than this may belong to an upload or a
+// transcoding that has not been saved yet
+const DEFAULT_GRACE_HOURS = Number(process.env.MEDIA_ORPHAN_GRACE_HOURS) || 24;
+// Transcoding outputs and direct uploads are only attached to their project
+// once complete, so deleting younger orphans could break them
+const MIN_DELETE_GRACE_HOURS = 1;
+// The most keys storage.deleteMany takes at once
+const DELETE_BATCH_SIZE = 1000;
+const HOUR = 60 * 60 * 1000;
+
+const totalSize = (objects) => objects.reduce((total, object) => total + (object.size || 0), 0);
+
+// The media of each kind of document, as stored
+const DOCUMENTS = [
+  { name: "Project", model: Project, media: (project) => [...(project.images || []), project.video] },
+  { name: "Partner", model: Partner, media: (partner) => [partner.image] },
+];
+
+/**
+ * Collects every key and HLS prefix the database references. Documents
+ * marked as deleted count too, their media are removed by
+ * services/mediaCleanup.js.
+ * @returns {Promise<{keys: Map<string, object>, prefixes: string[]}>} `keys`
+ *   maps each key to the `{model, id}` of the document that references it.
+ */
+async function collectReferences() {
+  const keys = new Map();
+  const prefixes = [];
+
+  for (const { name, model, media } of DOCUMENTS) {
+    // Raw collection, so soft-deleted documents are included
+    const cursor = model.collection.find();
+    for await (const document of cursor) {
+      const owner = { model: name, id: document._id.toString() };
+      for (const item of media(document).filter(Boolean)) {
+        for (const key of mediaKeys(item)) {
+          keys.set(key, owner);
+        }
+        const prefix = hlsPrefix(item);
+        if (prefix) {
+          prefixes.push(prefix);
+        }
+      }
+    }
+  }
+
+  return { keys, prefixes };
+}
+
+/**
+ * Compares the objects in storage with the media referenced in the
+ * database. Orphans are objects under the managed prefixes that no document
+ * references; unmanaged objects are unreferenced objects anywhere else in
+ * the bucket, which are never deleted. Missing keys are referenced by a
+ * document but not in storage.
+ * @param {object} [options]
+ * @param {number} [options.graceHours] - Only orphans older than this are
+ *   eligible for deletion. Defaults to MEDIA_ORPHAN_GRACE_HOURS, or 24.
+ * @param {boolean} [options.deleteOrphans=false] - Delete the eligible
+ *   orphans; otherwise only report them. Needs a grace period of at least
+ *   MIN_DELETE_GRACE_HOURS.
+ * @returns {Promise<object>} The report.
+ */
+async function reconcileMedia({ graceHours = DEFAULT_GRACE_HOURS, deleteOrphans = false } = {}) {
+  if (deleteOrphans && !(graceHours >= MIN_DELETE_GRACE_HOURS)) {
+    throw new Error(
+      `Orphans can only be deleted with a grace period of at least ${MIN_DELETE_GRACE_HOURS} hour(s)`
+    );
+  }
+
+  const startedAt = new Date();
+  const cutoff = new Date(startedAt.getTime() - graceHours * HOUR);
+
+  // The references are read first: an object uploaded and saved while the
+  // bucket is listed is then young enough to be within the grace period
+  const references = await collectReferences();
+  const objects = await storage.list();
+
+  const isReferenced = (key) =>
+    references.keys.has(key) ||
+    references.prefixes.some((prefix) => key.startsWith(prefix));
+  const isManaged = (key) => MEDIA_PREFIXES.some((prefix) => key.startsWith(prefix));
+
+  const unreferenced = objects.filter((object) => !isReferenced(object.key));
+  const orphans = unreferenced
+    .filter((object) => isManaged(object.key))
+    .map((object) => ({
+      key: object.key,
+      size: object.size,
+      lastModified: object.lastModified,
+      eligible: new Date(object.lastModified) < cutoff,
+    }));
+  const unmanaged = unreferenced
+    .filter((object) => !isManaged(object.key))
+    .map(({ key, size, lastModified }) => ({ key, size, lastModified }));
+
+  const stored = new Set(objects.map((object) => object.key));
+  const missing = [...references.keys]
+    .filter(([key]) => !stored.has(key))
+    .map(([key, owner]) => ({ key, ...owner }));
+
+  const deleted = [];
+  const failed = [];
+  if (deleteOrphans) {
+    const eligible = orphans.filter((orphan) => orphan.eligible).map((orphan) => orphan.key);
+    // One batch at a time, so a large bucket does not flood storage with requests
+    for (let start = 0; start < eligible.length; start += DELETE_BATCH_SIZE) {
+      const batch = eligible.slice(start, start + DELETE_BATCH_SIZE);
+      let failures;
+      try {
+        failures = await storage.deleteMany(batch);
+      } catch (error) {
+        failures = batch.map((key) => ({ key, error: error.message }));
+      }
+
+      const failedKeys = new Set(failures.map((failure) => failure.key));
+      deleted.push(...batch.filter((key) => !failedKeys.has(key)));
+      failed.push(...failures);
+    }
+  }
+
+  return {
+    startedAt,
+    dryRun: !deleteOrphans,
+    graceHours,
+    objects: objects.length,
+    referenced: references.keys.size,
+    orphans,
+    orphanBytes: totalSize(orphans),
+    unmanaged,
+    unmanagedBytes: totalSize(unmanaged),
+    missing,
+    deleted,
+    failed,
+  };
+}
+
+module.exports = {
+  reconcileMedia,
+  MIN_DELETE_GRACE_HOURS,
+};
@@ -1,64 +1,519 @@
-const {
-  S3Client,
-  PutObjectCommand,
-  DeleteObjectCommand,
-} = require("@aws-sdk/client-s3");
 const dotenv = require("dotenv");
+const crypto = require("crypto");
 const fs = require("fs");
+const path = require("path");
 const util = require("util");
+const storage = require("./storage");
+const { processImage } = require("./imageProcessor");
 const unlinkFile = util.promisify(fs.unlink); // To delete the file after upload
 
 dotenv.config();
 
-const s3 = new S3Client({
-  credentials: {
-    accessKeyId: process.env.ACCESS_KEY,
-    secretAccessKey: process.env.SECRET_KEY,
-  },
-  region: process.env.BUCKET_REGION,
-});
+const MB = 1024 * 1024;
+// Parts of a multipart upload must be at least 5 MB, and there are at most 10,000
+const MIN_PART_SIZE = 5 * MB;
+const MAX_PARTS = 10000;
+const UPLOAD_MULTIPART_THRESHOLD =
+  (Number(process.env.UPLOAD_MULTIPART_THRESHOLD_MB) || 64) * MB;
+const UPLOAD_PART_SIZE = Math.max(
+  (Number(process.env.UPLOAD_PART_SIZE_MB) || 16) * MB,
+  MIN_PART_SIZE
+);
+const UPLOAD_CONCURRENCY = Number(process.env.UPLOAD_CONCURRENCY) || 4;
+const UPLOAD_PART_ATTEMPTS = Number(process.env.UPLOAD_PART_ATTEMPTS) || 4;
+const DIRECT_UPLOAD_URL_TTL_SECONDS =
+  Number(process.env.DIRECT_UPLOAD_URL_TTL_SECONDS) || 3600;
+const DIRECT_UPLOAD_MULTIPART_THRESHOLD =
+  (Number(process.env.DIRECT_UPLOAD_MULTIPART_THRESHOLD_MB) || 100) * MB;
+const DIRECT_UPLOAD_PART_SIZE = Math.max(
+  (Number(process.env.DIRECT_UPLOAD_PART_SIZE_MB) || 64) * MB,
+  MIN_PART_SIZE
+);
 
 /**
- * Uploads a file to S3.
- * @param {string} bucketName - The name of the S3 bucket.
- * @param {string} key - The key (filename) to use in S3.
+ * Builds a unique S3 key for an uploaded file under an entity prefix, e.g.
+ * `projects/<id>/images/3f2b...c9.jpg`. Only the extension of the original
+ * file name is kept, so two uploads of `cover.jpg` never share a key.
+ * @param {string} prefix - The entity prefix, e.g. `projects/<id>/images`.
+ * @param {string} originalName - The client-supplied file name.
+ * @returns {string} The S3 key.
+ */
+function generateKey(prefix, originalName) {
+  const extension = path
+    .extname(originalName || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9.]/g, "");
+  return `${prefix}/${crypto.randomUUID()}${extension}`;
+}
+
+/**
+ * Builds the public URL of an object. Uses CDN_BASE_URL when it is set,
+ * otherwise the URL the storage driver serves the object from.
+ * @param {string} key - The object key.
+ * @returns {string} The object URL.
+ */
+function getFileUrl(key) {
+  if (!process.env.CDN_BASE_URL) {
+    return storage.getUrl(key);
+  }
+  const encodedKey = key.split("/").map(encodeURIComponent).join("/");
+  return `${process.env.CDN_BASE_URL.replace(/\/+$/, "")}/${encodedKey}`;
+}
+
+/**
+ * Extracts the S3 key from an object URL such as
+ * `https://<bucket>.s3.<region>.amazonaws.com/projects/<id>/images/<file>`.
+ * @param {string} url - The object URL.
+ * @returns {string} The S3 key.
+ */
+function keyFromUrl(url) {
+  return decodeURIComponent(new URL(url).pathname.slice(1));
+}
+
+/**
+ * Calls `fn` until it succeeds, waiting 0.5s, 1s, 2s, ... between attempts.
+ * @param {() => Promise<any>} fn
+ * @param {number} attempts - How many times to try before giving up.
+ * @returns {Promise<any>} What `fn` resolved to.
+ */
+async function withRetries(fn, attempts) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= attempts) {
+        throw error;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 500 * 2 ** (attempt - 1)));
+    }
+  }
+}
+
+/**
+ * Uploads a file in parts of UPLOAD_PART_SIZE_MB, UPLOAD_CONCURRENCY parts at
+ * a time. A failed part is retried on its own, up to UPLOAD_PART_ATTEMPTS
+ * times; if it still fails the upload is aborted so no parts are left
+ * behind in storage.
+ * @param {string} key - The key to store the file under.
  * @param {string} filePath - The local file path to upload.
- * @param {string} contentType - The MIME type of the file.
+ * @param {object} [options]
+ * @param {string} [options.contentType] - The MIME type of the file.
+ * @param {(progress: {loaded: number, total: number}) => void} [options.onProgress]
+ *   Called after every uploaded part with the bytes sent so far.
  * @returns {Promise<void>}
  */
-async function uploadFile(bucketName, key, filePath, contentType) {
-  const fileStream = fs.createReadStream(filePath);
-  const params = {
-    Bucket: bucketName,
-    Key: key,
-    Body: fileStream,
-    ContentType: contentType,
+async function uploadMultipart(key, filePath, { contentType, onProgress } = {}) {
+  const { size } = await fs.promises.stat(filePath);
+  const partSize = Math.max(UPLOAD_PART_SIZE, Math.ceil(size / MAX_PARTS));
+  const partCount = Math.max(Math.ceil(size / partSize), 1);
+
+  const uploadId = await storage.createMultipartUpload(key, { contentType });
+  const file = await fs.promises.open(filePath, "r");
+  const parts = [];
+  let nextPart = 1;
+  let loaded = 0;
+  let failed = false;
+
+  // Each worker uploads one part at a time until none are left
+  const uploadParts = async () => {
+    while (!failed && nextPart <= partCount) {
+      const partNumber = nextPart++;
+      const start = (partNumber - 1) * partSize;
+      const body = Buffer.alloc(Math.min(partSize, size - start));
+      await file.read(body, 0, body.length, start);
+
+      try {
+        const etag = await withRetries(
+          () => storage.uploadPart(key, uploadId, partNumber, body),
+          UPLOAD_PART_ATTEMPTS
+        );
+        parts.push({ partNumber, etag });
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+
+      loaded += body.length;
+      if (onProgress) {
+        onProgress({ loaded, total: size });
+      }
+    }
   };
 
-  const command = new PutObjectCommand(params);
-  await s3.send(command);
+  try {
+    const workers = Array.from(
+      { length: Math.min(UPLOAD_CONCURRENCY, partCount) },
+      uploadParts
+    );
+    // Wait for every worker to stop before aborting, so no part lands afterwards
+    const results = await Promise.allSettled(workers);
+    const failure = results.find((result) => result.status === "rejected");
+    if (failure) {
+      throw failure.reason;
+    }
+
+    await storage.completeMultipartUpload(key, uploadId, parts);
+  } catch (error) {
+    await storage.abortMultipartUpload(key, uploadId).catch((abortError) => {
+      console.error(`Could not abort the upload of ${key}:`, abortError);
+    });
+    throw error;
+  } finally {
+    await file.close();
+  }
+}
+
+/**
+ * Uploads a file to the configured storage. Files bigger than
+ * UPLOAD_MULTIPART_THRESHOLD_MB are sent as a multipart upload.
+ * @param {string} key - The key to store the file under.
+ * @param {string} filePath - The local file path to upload.
+ * @param {string} contentType - The MIME type of the file.
+ * @param {object} [options]
+ * @param {(progress: {loaded: number, total: number}) => void} [options.onProgress]
+ *   Called as the file is uploaded, with the bytes sent so far.
+ * @returns {Promise<void>}
+ */
+async function uploadFile(key, filePath, contentType, { onProgress } = {}) {
+  const { size } = await fs.promises.stat(filePath);
+
+  if (size > UPLOAD_MULTIPART_THRESHOLD) {
+    await uploadMultipart(key, filePath, { contentType, onProgress });
+  } else {
+    await storage.put(key, filePath, { contentType });
+    if (onProgress) {
+      onProgress({ loaded: size, total: size });
+    }
+  }
 
   // Remove the local file after upload
   await unlinkFile(filePath);
 }
 
 /**
- * Deletes a file from S3.
- * @param {string} bucketName - The name of the S3 bucket.
- * @param {string} key - The key (filename) to delete in S3.
+ * Deletes a file from the configured storage.
+ * @param {string} key - The key of the file to delete.
+ * @returns {Promise<void>}
+ */
+async function deleteFile(key) {
+  await storage.delete(key);
+}
+
+/**
+ * Stores a processed image under a key and describes it for the media
+ * subdocument.
+ * @param {string} key - The key to store the image under.
+ * @param {{buffer: Buffer, mimeType: string, width: number, height: number}} image
+ * @returns {Promise<object>} key, url, mimeType, size, width, height.
+ */
+async function putImage(key, image) {
+  await storage.put(key, image.buffer, { contentType: image.mimeType });
+  return {
+    key,
+    url: getFileUrl(key),
+    mimeType: image.mimeType,
+    size: image.buffer.length,
+    width: image.width,
+    height: image.height,
+  };
+}
+
+/**
+ * Runs an uploaded image through the image pipeline (see
+ * imageProcessor.js) and stores the cleaned original, its renditions and
+ * its thumbnail next to each other, e.g. `<uuid>.jpg`, `<uuid>-640w.webp`
+ * and `<uuid>-thumb.webp`. If storing any of them fails, the ones already
+ * stored are deleted again.
+ * @param {string} key - The key of the original.
+ * @param {object} file - The multer file.
+ * @returns {Promise<object>} The media object, with `variants`, `thumbnail`,
+ *   `dominantColor` and `lqip`.
+ */
+async function uploadImage(key, file) {
+  const { original, renditions, thumbnail, placeholder } = await processImage(
+    file.path,
+    file.mimetype
+  );
+  const baseKey = key.replace(/\.[^./]*$/, "");
+  const stored = [];
+
+  const store = async (imageKey, image) => {
+    const media = await putImage(imageKey, image);
+    stored.push(imageKey);
+    return media;
+  };
+
+  try {
+    const media = { ...(await store(key, original)), ...placeholder };
+
+    media.variants = [];
+    for (const rendition of renditions) {
+      media.variants.push(
+        await store(`${baseKey}-${rendition.width}w.${rendition.format}`, rendition)
+      );
+    }
+    media.thumbnail = await store(`${baseKey}-thumb.webp`, thumbnail);
+
+    await unlinkFile(file.path);
+    return media;
+  } catch (error) {
+    await Promise.all(
+      stored.map((storedKey) => storage.delete(storedKey).catch(() => {}))
+    );
+    throw error;
+  }
+}
+
+/**
+ * Uploads a multer file under a unique key and describes it as a media
+ * subdocument (see models/Media.js). Images go through the image pipeline
+ * and come back with their renditions; other files are stored as they are.
+ * @param {string} prefix - The entity prefix, e.g. `projects/<id>/images`.
+ * @param {object} file - The multer file.
+ * @param {object} [options]
+ * @param {(progress: {loaded: number, total: number}) => void} [options.onProgress]
+ *   Called as the file is uploaded, see uploadFile.
+ * @returns {Promise<object>} The media object: key, url, mimeType, size, and
+ *   for images width, height, dominantColor, lqip, variants and thumbnail.
+ */
+async function uploadMedia(prefix, file, { onProgress } = {}) {
+  const key = generateKey(prefix, file.originalname);
+
+  if (file.mimetype.startsWith("image/")) {
+    const media = await uploadImage(key, file);
+    if (onProgress) {
+      onProgress({ loaded: file.size, total: file.size });
+    }
+    return media;
+  }
+
+  await uploadFile(key, file.path, file.mimetype, { onProgress });
+
+  return {
+    key,
+    url: getFileUrl(key),
+    mimeType: file.mimetype,
+    size: file.size,
+  };
+}
+
+/**
+ * Every stored key of a media subdocument: the file itself and, for
+ * images, its renditions and thumbnail. For videos this includes the
+ * transcoded MP4, the HLS master playlist and the poster, but not the HLS
+ * playlists and segments listed under `hlsPrefix`.
+ * @param {object} media - The media subdocument.
+ * @returns {string[]}
+ */
+function mediaKeys(media) {
+  return [
+    media.key,
+    ...(media.variants || []).map((variant) => variant.key),
+    ...(media.thumbnail ? [media.thumbnail.key] : []),
+    ...(media.mp4 ? [media.mp4.key] : []),
+    ...(media.hls ? [media.hls.key] : []),
+    ...(media.poster ? mediaKeys(media.poster) : []),
+  ];
+}
+
+/**
+ * The prefix every HLS file of a video is stored under, e.g.
+ * `projects/<id>/video/<uuid>-hls/`.
+ * @param {object} media - The media subdocument.
+ * @returns {string|null} Null if the video has no HLS renditions.
+ */
+function hlsPrefix(media) {
+  return media.hls ? media.hls.key.slice(0, media.hls.key.lastIndexOf("/") + 1) : null;
+}
+
+/**
+ * Deletes the objects behind a media subdocument.
+ * @param {object} media - The media subdocument.
  * @returns {Promise<void>}
  */
-async function deleteFile(bucketName, key) {
-  const params = {
-    Bucket: bucketName,
-    Key: key,
+async function deleteMedia(media) {
+  const keys = mediaKeys(media);
+
+  const prefix = hlsPrefix(media);
+  if (prefix) {
+    const hlsFiles = await storage.list(prefix);
+    keys.push(...hlsFiles.map((file) => file.key));
+  }
+
+  await Promise.all([...new Set(keys)].map((key) => deleteFile(key)));
+}
+
+/**
+ * Fetches the metadata of an object.
+ * @param {string} key - The key of the object.
+ * @returns {Promise<object|null>} Its key, contentType, size and lastModified, or null if it does not exist.
+ */
+async function headFile(key) {
+  return storage.head(key);
+}
+
+/**
+ * Copies an object to a new key.
+ * @param {string} sourceKey - The key to copy from.
+ * @param {string} destinationKey - The key to copy to.
+ * @returns {Promise<void>}
+ */
+async function copyFile(sourceKey, destinationKey) {
+  await storage.copy(sourceKey, destinationKey);
+}
+
+/**
+ * Lets a client upload a file straight to storage, without it passing
+ * through this server. Files up to DIRECT_UPLOAD_MULTIPART_THRESHOLD_MB get
+ * a single presigned PUT URL; bigger ones a multipart upload with one
+ * presigned URL per part. Nothing is attached to any document until the
+ * upload is confirmed with completeDirectUpload.
+ *
+ * The returned `uploadToken` proves the key was handed out here; check it
+ * with isDirectUploadKey before confirming or abandoning an upload, since
+ * other files, such as those made from a video, share the prefix.
+ * @param {string} prefix - The entity prefix, e.g. `projects/<id>/video`.
+ * @param {object} file
+ * @param {string} file.fileName - The client-side file name, for its extension.
+ * @param {string} file.contentType - The MIME type the file will be sent with.
+ * @param {number} file.size - The size of the file in bytes.
+ * @returns {Promise<object>} `{key, uploadToken, method, url, headers, expiresIn}`
+ *   for a single PUT, or `{key, uploadToken, uploadId, partSize, parts: [{partNumber, url}], expiresIn}`.
+ */
+async function createDirectUpload(prefix, { fileName, contentType, size }) {
+  const key = generateKey(prefix, fileName);
+  const uploadToken = signDirectUploadKey(key);
+  const expiresIn = DIRECT_UPLOAD_URL_TTL_SECONDS;
+
+  if (size <= DIRECT_UPLOAD_MULTIPART_THRESHOLD) {
+    const url = await storage.getSignedUrl(key, {
+      method: "PUT",
+      expiresIn,
+      contentType,
+    });
+    return {
+      key,
+      uploadToken,
+      method: "PUT",
+      url,
+      headers: { "Content-Type": contentType },
+      expiresIn,
+    };
+  }
+
+  const partSize = Math.max(DIRECT_UPLOAD_PART_SIZE, Math.ceil(size / MAX_PARTS));
+  const partCount = Math.ceil(size / partSize);
+  const uploadId = await storage.createMultipartUpload(key, { contentType });
+
+  const parts = [];
+  for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+    const url = await storage.getSignedPartUrl(key, uploadId, partNumber, {
+      expiresIn,
+    });
+    parts.push({ partNumber, url });
+  }
+
+  return { key, uploadToken, uploadId, partSize, parts, expiresIn };
+}
+
+const signDirectUploadKey = (key) =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(`direct-upload:${key}`)
+    .digest("hex");
+
+/**
+ * Checks that a key was handed out by createDirectUpload.
+ * @param {string} key - The key of the upload.
+ * @param {string} uploadToken - The `uploadToken` returned along with the key.
+ * @returns {boolean}
+ */
+function isDirectUploadKey(key, uploadToken) {
+  if (typeof key !== "string" || typeof uploadToken !== "string") {
+    return false;
+  }
+  const expected = Buffer.from(signDirectUploadKey(key));
+  const actual = Buffer.from(uploadToken);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Finishes a direct upload and describes the stored file as a media
+ * subdocument. Multipart uploads are joined first.
+ * @param {string} key - The key returned by createDirectUpload.
+ * @param {object} [multipart]
+ * @param {string} [multipart.uploadId] - Set for multipart uploads.
+ * @param {{partNumber: number, etag: string}[]} [multipart.parts] - The ETag
+ *   returned for every uploaded part.
+ * @returns {Promise<object|null>} The media object, or null if nothing was uploaded under the key.
+ */
+async function completeDirectUpload(key, { uploadId, parts } = {}) {
+  if (uploadId) {
+    await storage.completeMultipartUpload(key, uploadId, parts);
+  }
+
+  const head = await storage.head(key);
+  if (!head) {
+    return null;
+  }
+
+  return {
+    key,
+    url: getFileUrl(key),
+    mimeType: head.contentType,
+    size: head.size,
   };
+}
 
-  const command = new DeleteObjectCommand(params);
-  await s3.send(command);
+/**
+ * Reads the first bytes of a stored file, e.g. to check its type.
+ * @param {string} key - The key of the file.
+ * @param {number} length - How many bytes to read.
+ * @returns {Promise<Buffer>} `length` bytes, zero-filled past the end of shorter files.
+ */
+async function readFileHeader(key, length) {
+  const stream = await storage.get(key, { start: 0, end: length - 1 });
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+
+  const header = Buffer.alloc(length);
+  Buffer.concat(chunks).copy(header, 0, 0, length);
+  return header;
+}
+
+/**
+ * Abandons a direct upload, discarding the uploaded parts of a multipart
+ * upload and any object already stored under the key.
+ * @param {string} key - The key returned by createDirectUpload.
+ * @param {string} [uploadId] - Set for multipart uploads.
+ * @returns {Promise<void>}
+ */
+async function abortDirectUpload(key, uploadId) {
+  if (uploadId) {
+    await storage.abortMultipartUpload(key, uploadId);
+  }
+  await storage.delete(key);
 }
 
 module.exports = {
+  generateKey,
+  getFileUrl,
+  keyFromUrl,
   uploadFile,
+  uploadMultipart,
   deleteFile,
+  uploadImage,
+  uploadMedia,
+  deleteMedia,
+  mediaKeys,
+  hlsPrefix,
+  headFile,
+  readFileHeader,
+  copyFile,
+  createDirectUpload,
+  isDirectUploadKey,
+  completeDirectUpload,
+  abortDirectUpload,
 };
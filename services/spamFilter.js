@@ -0,0 +1,92 @@
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+// Messages scoring at or above this are stored with status "spam" and not emailed
+const SPAM_THRESHOLD = Number(process.env.SPAM_SCORE_THRESHOLD) || 5;
+
+// Phrases that show up in bulk spam far more than in real enquiries
+const SPAM_KEYWORDS = [
+  "viagra",
+  "cialis",
+  "casino",
+  "crypto",
+  "bitcoin",
+  "forex",
+  "loan",
+  "seo services",
+  "backlinks",
+  "guest post",
+  "rank your website",
+  "first page of google",
+  "increase your traffic",
+  "web traffic",
+  "make money",
+  "work from home",
+  "click here",
+  "limited time offer",
+  "100% free",
+  "unsubscribe",
+];
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+/i;
+const LINKS_PATTERN = new RegExp(LINK_PATTERN.source, "gi");
+
+/**
+ * Scores a contact form submission for spam. Every rule that matches adds
+ * to the score and gives a reason, so admins can see why a message was held.
+ * @param {object} submission
+ * @param {string} submission.name
+ * @param {string} submission.email
+ * @param {string} submission.subject
+ * @param {string} submission.message
+ * @returns {{score: number, reasons: string[], isSpam: boolean}}
+ */
+function scoreSubmission({ name, email, subject, message }) {
+  let score = 0;
+  const reasons = [];
+  const add = (points, reason) => {
+    score += points;
+    reasons.push(reason);
+  };
+
+  const text = `${subject}\n${message}`;
+  const lowerText = text.toLowerCase();
+
+  const links = text.match(LINKS_PATTERN) || [];
+  if (links.length > 0) {
+    add(Math.min(links.length, 5), `contains ${links.length} link(s)`);
+  }
+
+  if (/\[url=|<a\s+href=/i.test(text)) {
+    add(3, "contains link markup");
+  }
+
+  if (LINK_PATTERN.test(name)) {
+    add(4, "name contains a link");
+  }
+
+  const keywords = SPAM_KEYWORDS.filter((keyword) => lowerText.includes(keyword));
+  if (keywords.length > 0) {
+    add(2 * keywords.length, `contains spam keywords: ${keywords.join(", ")}`);
+  }
+
+  const letters = message.replace(/[^a-z]/gi, "");
+  if (letters.length >= 20 && letters === letters.toUpperCase()) {
+    add(2, "message is all caps");
+  }
+
+  if (/(.)\1{9,}/.test(message)) {
+    add(1, "message repeats a character many times");
+  }
+
+  if (lowerText.includes(String(email).toLowerCase()) && links.length > 0) {
+    add(1, "message repeats the sender address alongside links");
+  }
+
+  return { score, reasons, isSpam: score >= SPAM_THRESHOLD };
+}
+
+module.exports = {
+  scoreSubmission,
+};
@@ -0,0 +1,76 @@
+const dotenv = require("dotenv");
+const createS3Driver = require("./s3Driver");
+const createLocalDriver = require("./localDriver");
+
+dotenv.config();
+
+/**
+ * @typedef {object} StoredObject
+ * @property {string} key - The object key, e.g. `projects/<id>/images/<file>`.
+ * @property {number} size - The size in bytes.
+ * @property {Date} lastModified
+ * @property {string} [contentType] - Only returned by `head`.
+ */
+
+/**
+ * The operations every storage backend provides. Keys are always
+ * `/`-separated paths relative to the root of the store.
+ * @typedef {object} StorageDriver
+ * @property {string} name - `s3` or `local`.
+ * @property {(key: string, body: string|Buffer, options?: {contentType?: string}) => Promise<void>} put
+ *   Stores a local file (given by its path) or a buffer under a key.
+ * @property {(key: string, range?: {start?: number, end?: number}) => Promise<import("stream").Readable>} get
+ *   Streams the content of an object, or the bytes from `start` to `end` (inclusive) of it.
+ * @property {(key: string) => Promise<void>} delete - Deletes an object. Missing objects are ignored.
+ * @property {(keys: string[]) => Promise<{key: string, error: string}[]>} deleteMany
+ *   Deletes up to 1000 objects in one request and returns the ones that could not be deleted.
+ * @property {(sourceKey: string, destinationKey: string) => Promise<void>} copy
+ * @property {(key: string) => Promise<StoredObject|null>} head - Null if the object does not exist.
+ * @property {(prefix?: string) => Promise<StoredObject[]>} list - Every object whose key starts with the prefix.
+ * @property {(key: string, options?: {method?: "GET"|"PUT", expiresIn?: number, contentType?: string}) => Promise<string>} getSignedUrl
+ *   A temporary URL to download (GET) or upload (PUT) an object without credentials.
+ *   `expiresIn` is in seconds.
+ * @property {(key: string, options?: {contentType?: string}) => Promise<string>} createMultipartUpload
+ *   Starts an upload sent in parts and returns its upload ID.
+ * @property {(key: string, uploadId: string, partNumber: number, options?: {expiresIn?: number}) => Promise<string>} getSignedPartUrl
+ *   A temporary URL to PUT one part of a multipart upload to. The response carries the part's ETag header.
+ * @property {(key: string, uploadId: string, partNumber: number, body: Buffer) => Promise<string>} uploadPart
+ *   Uploads one part of a multipart upload and returns its ETag.
+ * @property {(key: string, uploadId: string, parts: {partNumber: number, etag: string}[]) => Promise<void>} completeMultipartUpload
+ *   Joins the parts into the object.
+ * @property {(key: string, uploadId: string) => Promise<void>} abortMultipartUpload - Discards the uploaded parts.
+ * @property {(key: string) => string} getUrl - The permanent public URL of an object.
+ * @property {import("express").Router} [router] - Serves the objects, for drivers that need it.
+ * @property {string} [mountPath] - Where server.js mounts `router`.
+ */
+
+const DRIVERS = {
+  s3: () =>
+    createS3Driver({
+      bucket: process.env.BUCKET_NAME,
+      region: process.env.BUCKET_REGION,
+      accessKeyId: process.env.ACCESS_KEY,
+      secretAccessKey: process.env.SECRET_KEY,
+    }),
+  local: () =>
+    createLocalDriver({
+      root: process.env.LOCAL_STORAGE_DIR || "storage",
+      baseUrl:
+        process.env.LOCAL_STORAGE_BASE_URL ||
+        `http://localhost:${process.env.PORT || 5000}/media`,
+      secret: process.env.LOCAL_STORAGE_SECRET || process.env.JWT_SECRET,
+    }),
+};
+
+const driverName = process.env.STORAGE_DRIVER || "s3";
+
+if (!DRIVERS[driverName]) {
+  throw new Error(
+    `Unknown STORAGE_DRIVER "${driverName}", expected one of: ${Object.keys(DRIVERS).join(", ")}`
+  );
+}
+
+/** @type {StorageDriver} */
+const storage = DRIVERS[driverName]();
+
+module.exports = storage;
@@ -0,0 +1,303 @@
+const express = require("express");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+
+const encodeKey = (key) => key.split("/").map(encodeURIComponent).join("/");
+
+/**
+ * Creates the storage driver that keeps objects on the local disk, for
+ * development and CI. Objects are served by the driver's `router`, which
+ * server.js mounts at `mountPath`, the path of `baseUrl`.
+ * @param {object} options
+ * @param {string} options.root - The directory objects are stored in.
+ * @param {string} options.baseUrl - The public URL the router is mounted at.
+ * @param {string} options.secret - Signs the URLs from getSignedUrl.
+ * @returns {import("./index").StorageDriver}
+ */
+function createLocalDriver({ root, baseUrl, secret }) {
+  const rootDir = path.resolve(root);
+  const publicUrl = baseUrl.replace(/\/+$/, "");
+
+  // Maps a key to a path inside the storage directory, refusing keys such as
+  // `../server.js` that would escape it
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  // Parts of multipart uploads wait here until the upload is completed.
+  // Dotfiles are never listed or served.
+  const multipartDir = path.join(rootDir, ".multipart");
+
+  const resolveUpload = (uploadId) => {
+    if (!/^[0-9a-f-]{36}$/.test(String(uploadId))) {
+      throw new Error(`Invalid upload ID: ${uploadId}`);
+    }
+    return path.join(multipartDir, uploadId);
+  };
+
+  const sign = (...parts) =>
+    crypto.createHmac("sha256", secret).update(parts.join(":")).digest("hex");
+
+  const isValidSignature = (signed, expires, signature) => {
+    if (!expires || !signature || Number(expires) * 1000 < Date.now()) {
+      return false;
+    }
+    const expected = Buffer.from(sign(...signed, expires));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  };
+
+  async function put(key, body) {
+    const destination = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+    if (Buffer.isBuffer(body)) {
+      await fs.promises.writeFile(destination, body);
+    } else {
+      await fs.promises.copyFile(body, destination);
+    }
+  }
+
+  async function get(key, { start, end } = {}) {
+    const filePath = resolveKey(key);
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath, { start, end });
+  }
+
+  async function remove(key) {
+    try {
+      await fs.promises.unlink(resolveKey(key));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+  }
+
+  async function deleteMany(keys) {
+    const failures = [];
+    for (const key of keys) {
+      try {
+        await remove(key);
+      } catch (error) {
+        failures.push({ key, error: error.message });
+      }
+    }
+    return failures;
+  }
+
+  async function copy(sourceKey, destinationKey) {
+    const destination = resolveKey(destinationKey);
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+    await fs.promises.copyFile(resolveKey(sourceKey), destination);
+  }
+
+  async function head(key) {
+    try {
+      const stats = await fs.promises.stat(resolveKey(key));
+      if (!stats.isFile()) {
+        return null;
+      }
+      return {
+        key,
+        contentType: express.static.mime.lookup(key),
+        size: stats.size,
+        lastModified: stats.mtime,
+      };
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async function list(prefix = "") {
+    const objects = [];
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return;
+        }
+        throw error;
+      }
+
+      for (const entry of entries) {
+        if (entry.name.startsWith(".")) {
+          continue;
+        }
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+          continue;
+        }
+        const key = path.relative(rootDir, entryPath).split(path.sep).join("/");
+        if (key.startsWith(prefix)) {
+          const stats = await fs.promises.stat(entryPath);
+          objects.push({ key, size: stats.size, lastModified: stats.mtime });
+        }
+      }
+    };
+
+    await walk(rootDir);
+    return objects.sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  async function getSignedUrl(key, { method = "GET", expiresIn = 900 } = {}) {
+    resolveKey(key);
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const query = new URLSearchParams({
+      expires: String(expires),
+      signature: sign(method, key, expires),
+    });
+    return `${publicUrl}/${encodeKey(key)}?${query}`;
+  }
+
+  async function createMultipartUpload(key) {
+    resolveKey(key);
+    const uploadId = crypto.randomUUID();
+    await fs.promises.mkdir(resolveUpload(uploadId), { recursive: true });
+    await fs.promises.writeFile(path.join(resolveUpload(uploadId), "key"), key);
+    return uploadId;
+  }
+
+  async function getSignedPartUrl(key, uploadId, partNumber, { expiresIn = 900 } = {}) {
+    resolveKey(key);
+    resolveUpload(uploadId);
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const query = new URLSearchParams({
+      uploadId,
+      partNumber: String(partNumber),
+      expires: String(expires),
+      signature: sign("PUT", key, uploadId, partNumber, expires),
+    });
+    return `${publicUrl}/${encodeKey(key)}?${query}`;
+  }
+
+  // Returns the directory of an upload started for this key
+  async function findUpload(key, uploadId) {
+    const uploadDir = resolveUpload(uploadId);
+    const uploadKey = await fs.promises.readFile(path.join(uploadDir, "key"), "utf8");
+    if (uploadKey !== key) {
+      throw new Error(`Upload ${uploadId} does not belong to ${key}`);
+    }
+    return uploadDir;
+  }
+
+  // Stores one part and returns its ETag, the quoted MD5 of its content as
+  // S3 does for parts
+  async function writePart(key, uploadId, partNumber, body) {
+    const uploadDir = await findUpload(key, uploadId);
+
+    const hash = crypto.createHash("md5");
+    body.on("data", (chunk) => hash.update(chunk));
+    await pipeline(body, fs.createWriteStream(path.join(uploadDir, String(partNumber))));
+    return `"${hash.digest("hex")}"`;
+  }
+
+  async function uploadPart(key, uploadId, partNumber, body) {
+    return writePart(key, uploadId, partNumber, Readable.from([body]));
+  }
+
+  async function completeMultipartUpload(key, uploadId, parts) {
+    const uploadDir = await findUpload(key, uploadId);
+
+    const destination = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+    const output = await fs.promises.open(destination, "w");
+
+    try {
+      const ordered = [...parts].sort((a, b) => a.partNumber - b.partNumber);
+      for (const { partNumber, etag } of ordered) {
+        const content = await fs.promises.readFile(
+          path.join(uploadDir, String(Number(partNumber)))
+        );
+        const md5 = crypto.createHash("md5").update(content).digest("hex");
+        if (String(etag).replace(/"/g, "") !== md5) {
+          throw new Error(`Part ${partNumber} does not match its ETag`);
+        }
+        await output.write(content);
+      }
+    } catch (error) {
+      await output.close();
+      await remove(key);
+      throw error;
+    }
+    await output.close();
+
+    await fs.promises.rm(uploadDir, { recursive: true, force: true });
+  }
+
+  async function abortMultipartUpload(key, uploadId) {
+    await fs.promises.rm(resolveUpload(uploadId), { recursive: true, force: true });
+  }
+
+  function getUrl(key) {
+    return `${publicUrl}/${encodeKey(key)}`;
+  }
+
+  // Serves stored objects, and accepts uploads to URLs signed for PUT the
+  // same way a presigned S3 URL would
+  const router = express.Router();
+
+  router.put("/*", async (req, res) => {
+    const key = decodeURIComponent(req.path.slice(1));
+    const { uploadId, partNumber, expires, signature } = req.query;
+    const signed = uploadId ? ["PUT", key, uploadId, partNumber] : ["PUT", key];
+
+    if (!isValidSignature(signed, expires, signature)) {
+      return res.status(403).json({ message: "Invalid or expired upload URL" });
+    }
+
+    try {
+      if (uploadId) {
+        const etag = await writePart(key, uploadId, Number(partNumber), req);
+        return res
+          .set({ ETag: etag, "Access-Control-Expose-Headers": "ETag" })
+          .status(200)
+          .end();
+      }
+
+      const destination = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+      await pipeline(req, fs.createWriteStream(destination));
+      res.status(200).end();
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.use(express.static(rootDir, { dotfiles: "deny", index: false }));
+
+  return {
+    name: "local",
+    put,
+    get,
+    delete: remove,
+    deleteMany,
+    copy,
+    head,
+    list,
+    getSignedUrl,
+    createMultipartUpload,
+    getSignedPartUrl,
+    uploadPart,
+    completeMultipartUpload,
+    abortMultipartUpload,
+    getUrl,
+    router,
+    mountPath: new URL(publicUrl).pathname,
+  };
+}
+
+module.exports = createLocalDriver;
@@ -0,0 +1,197 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  CopyObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+const fs = require("fs");
+
+const encodeKey = (key) => key.split("/").map(encodeURIComponent).join("/");
+
+/**
+ * Creates the storage driver backed by an S3 bucket.
+ * @param {object} options
+ * @param {string} options.bucket - The bucket name.
+ * @param {string} options.region - The bucket region.
+ * @param {string} options.accessKeyId
+ * @param {string} options.secretAccessKey
+ * @returns {import("./index").StorageDriver}
+ */
+function createS3Driver({ bucket, region, accessKeyId, secretAccessKey }) {
+  const s3 = new S3Client({
+    credentials: { accessKeyId, secretAccessKey },
+    region,
+  });
+
+  return {
+    name: "s3",
+
+    async put(key, body, { contentType } = {}) {
+      const command = new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: Buffer.isBuffer(body) ? body : fs.createReadStream(body),
+        ContentType: contentType,
+      });
+      await s3.send(command);
+    },
+
+    async get(key, { start, end } = {}) {
+      const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Range: start !== undefined ? `bytes=${start}-${end ?? ""}` : undefined,
+      });
+      const { Body } = await s3.send(command);
+      return Body;
+    },
+
+    async delete(key) {
+      const command = new DeleteObjectCommand({ Bucket: bucket, Key: key });
+      await s3.send(command);
+    },
+
+    async deleteMany(keys) {
+      const command = new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: { Objects: keys.map((key) => ({ Key: key })), Quiet: true },
+      });
+      const { Errors } = await s3.send(command);
+      return (Errors || []).map((error) => ({ key: error.Key, error: error.Message }));
+    },
+
+    async copy(sourceKey, destinationKey) {
+      const command = new CopyObjectCommand({
+        Bucket: bucket,
+        CopySource: `${bucket}/${encodeKey(sourceKey)}`,
+        Key: destinationKey,
+      });
+      await s3.send(command);
+    },
+
+    async head(key) {
+      try {
+        const command = new HeadObjectCommand({ Bucket: bucket, Key: key });
+        const head = await s3.send(command);
+        return {
+          key,
+          contentType: head.ContentType,
+          size: head.ContentLength,
+          lastModified: head.LastModified,
+        };
+      } catch (error) {
+        if (error.name === "NotFound" || error.$metadata?.httpStatusCode === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async list(prefix = "") {
+      const objects = [];
+      let ContinuationToken;
+
+      do {
+        const command = new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix || undefined,
+          ContinuationToken,
+        });
+        const data = await s3.send(command);
+
+        for (const item of data.Contents || []) {
+          objects.push({
+            key: item.Key,
+            size: item.Size,
+            lastModified: item.LastModified,
+          });
+        }
+        ContinuationToken = data.IsTruncated ? data.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+
+      return objects;
+    },
+
+    async getSignedUrl(key, { method = "GET", expiresIn = 900, contentType } = {}) {
+      const command =
+        method === "PUT"
+          ? new PutObjectCommand({ Bucket: bucket, Key: key, ContentType: contentType })
+          : new GetObjectCommand({ Bucket: bucket, Key: key });
+      return getSignedUrl(s3, command, { expiresIn });
+    },
+
+    async createMultipartUpload(key, { contentType } = {}) {
+      const command = new CreateMultipartUploadCommand({
+        Bucket: bucket,
+        Key: key,
+        ContentType: contentType,
+      });
+      const { UploadId } = await s3.send(command);
+      return UploadId;
+    },
+
+    async getSignedPartUrl(key, uploadId, partNumber, { expiresIn = 900 } = {}) {
+      const command = new UploadPartCommand({
+        Bucket: bucket,
+        Key: key,
+        UploadId: uploadId,
+        PartNumber: partNumber,
+      });
+      return getSignedUrl(s3, command, { expiresIn });
+    },
+
+    async uploadPart(key, uploadId, partNumber, body) {
+      const command = new UploadPartCommand({
+        Bucket: bucket,
+        Key: key,
+        UploadId: uploadId,
+        PartNumber: partNumber,
+        Body: body,
+      });
+      const { ETag } = await s3.send(command);
+      return ETag;
+    },
+
+    async completeMultipartUpload(key, uploadId, parts) {
+      // S3 rejects parts out of order (InvalidPartOrder), and parts uploaded
+      // side by side finish in any order
+      const ordered = [...parts].sort((a, b) => a.partNumber - b.partNumber);
+      const command = new CompleteMultipartUploadCommand({
+        Bucket: bucket,
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: {
+          Parts: ordered.map(({ partNumber, etag }) => ({
+            PartNumber: partNumber,
+            ETag: etag,
+          })),
+        },
+      });
+      await s3.send(command);
+    },
+
+    async abortMultipartUpload(key, uploadId) {
+      const command = new AbortMultipartUploadCommand({
+        Bucket: bucket,
+        Key: key,
+        UploadId: uploadId,
+      });
+      await s3.send(command);
+    },
+
+    getUrl(key) {
+      return `https://${bucket}.s3.${region}.amazonaws.com/${encodeKey(key)}`;
+    },
+  };
+}
+
+module.exports = createS3Driver;
@@ -0,0 +1,113 @@
+const dotenv = require("dotenv");
+const EmailTemplate = require("../models/EmailTemplate");
+const defaultTemplates = require("./defaultEmailTemplates");
+
+dotenv.config();
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Replaces {{placeholders}} in a template string. Unknown placeholders
+ * become empty strings.
+ * @param {string} template - The template source.
+ * @param {object} variables - Values by placeholder name.
+ * @param {(value: string) => string} [escape] - Applied to every value.
+ * @returns {string}
+ */
+function substitute(template, variables, escape = (value) => value) {
+  return template.replace(PLACEHOLDER, (match, key) =>
+    variables[key] === undefined || variables[key] === null
+      ? ""
+      : escape(String(variables[key]))
+  );
+}
+
+/**
+ * Whether a template name is one of the built-in templates.
+ * @param {string} name - The template name.
+ * @returns {boolean}
+ */
+function isDefaultTemplate(name) {
+  return Object.prototype.hasOwnProperty.call(defaultTemplates, name);
+}
+
+/**
+ * Returns every template: stored ones, plus built-in ones that have not
+ * been overridden.
+ * @returns {Promise<object[]>}
+ */
+async function listTemplates() {
+  const stored = await EmailTemplate.find().sort({ name: 1 }).lean();
+  const storedNames = new Set(stored.map((template) => template.name));
+
+  const defaults = Object.entries(defaultTemplates)
+    .filter(([name]) => !storedNames.has(name))
+    .map(([name, template]) => ({ name, ...template, isDefault: true }));
+
+  return [
+    ...stored.map((template) => ({
+      ...template,
+      isDefault: false,
+      overridesDefault: isDefaultTemplate(template.name),
+    })),
+    ...defaults,
+  ].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Finds a template by name, falling back to the built-in version.
+ * @param {string} name - The template name.
+ * @returns {Promise<object|null>}
+ */
+async function getTemplate(name) {
+  const stored = await EmailTemplate.findOne({ name }).lean();
+  if (stored) {
+    return { ...stored, isDefault: false, overridesDefault: isDefaultTemplate(name) };
+  }
+  if (isDefaultTemplate(name)) {
+    return { name, ...defaultTemplates[name], isDefault: true };
+  }
+  return null;
+}
+
+/**
+ * Renders a template into Nodemailer-ready subject, html and text fields.
+ * `siteName` and `year` are always available to templates.
+ * @param {string} name - The template name.
+ * @param {object} variables - Values for the placeholders.
+ * @returns {Promise<{subject: string, html: string, text: string}>}
+ */
+async function renderTemplate(name, variables) {
+  const template = await getTemplate(name);
+  if (!template) {
+    throw new Error(`Email template "${name}" does not exist`);
+  }
+
+  const values = {
+    siteName: process.env.SITE_NAME || "360 Production",
+    year: new Date().getFullYear(),
+    ...variables,
+  };
+
+  return {
+    // Header values must stay on one line
+    subject: substitute(template.subject, values).replace(/[\r\n]+/g, " "),
+    html: substitute(template.html, values, escapeHtml),
+    text: substitute(template.text, values),
+  };
+}
+
+module.exports = {
+  isDefaultTemplate,
+  listTemplates,
+  getTemplate,
+  renderTemplate,
+};
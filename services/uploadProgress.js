@@ -0,0 +1,100 @@
+// Tracks how far the uploads of a request have got, so that the admin site
+// can poll for progress while a long upload to storage is running. Clients
+// opt in by sending an `X-Upload-Id` header of their choosing with the
+// upload request. Progress is kept in memory: it is only meaningful while
+// the request runs on this process, and is forgotten shortly after.
+
+const UPLOAD_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+// Finished uploads are forgotten after 10 minutes; unfinished ones after an
+// hour without progress, e.g. when the request ended early
+const KEEP_FINISHED_MS = 10 * 60 * 1000;
+const KEEP_STALLED_MS = 60 * 60 * 1000;
+
+const uploads = new Map();
+
+const removeExpired = () => {
+  const now = Date.now();
+  for (const [key, entry] of uploads) {
+    const keepFor = entry.status === "uploading" ? KEEP_STALLED_MS : KEEP_FINISHED_MS;
+    if (now - entry.updatedAt > keepFor) {
+      uploads.delete(key);
+    }
+  }
+};
+
+const noopTracker = {
+  forFile: () => undefined,
+  complete: () => {},
+  fail: () => {},
+};
+
+// Scopes upload IDs to the admin, so admins cannot read each other's uploads
+const entryKey = (adminId, uploadId) => `${adminId}:${uploadId}`;
+
+/**
+ * Starts tracking the uploads of a request.
+ * @param {object} req - The request. Nothing is tracked without a valid `X-Upload-Id` header.
+ * @param {object[]} files - The multer files that are about to be uploaded.
+ * @returns {{forFile: (file: object) => Function|undefined, complete: () => void, fail: (error: Error) => void}}
+ *   `forFile` returns the onProgress callback to pass to uploadMedia for a file.
+ */
+function trackUpload(req, files) {
+  const uploadId = req.get("X-Upload-Id");
+  if (!req.admin || !UPLOAD_ID_PATTERN.test(uploadId || "")) {
+    return noopTracker;
+  }
+
+  removeExpired();
+
+  const key = entryKey(req.admin._id, uploadId);
+  const loadedByFile = new Map();
+  const entry = {
+    status: "uploading",
+    loaded: 0,
+    total: files.reduce((total, file) => total + file.size, 0),
+    error: null,
+    updatedAt: Date.now(),
+  };
+  uploads.set(key, entry);
+
+  const finish = (status, error) => {
+    entry.status = status;
+    entry.error = error ? error.message : null;
+    entry.updatedAt = Date.now();
+  };
+
+  return {
+    forFile: (file) => ({ loaded }) => {
+      loadedByFile.set(file, loaded);
+      entry.loaded = [...loadedByFile.values()].reduce((sum, value) => sum + value, 0);
+      entry.updatedAt = Date.now();
+    },
+    complete: () => finish("completed"),
+    fail: (error) => finish("failed", error),
+  };
+}
+
+/**
+ * Returns the progress of an upload started by the given admin.
+ * @param {string} adminId - The admin ID.
+ * @param {string} uploadId - The `X-Upload-Id` sent with the upload.
+ * @returns {{status: string, loaded: number, total: number, percent: number, error: string|null}|null}
+ *   Null if no such upload is known.
+ */
+function getUploadProgress(adminId, uploadId) {
+  removeExpired();
+
+  const entry = uploads.get(entryKey(adminId, uploadId));
+  if (!entry) {
+    return null;
+  }
+
+  const { status, loaded, total, error } = entry;
+  const percent = total ? Math.floor((loaded / total) * 100) : 100;
+  return { status, loaded, total, percent, error };
+}
+
+module.exports = {
+  trackUpload,
+  getUploadProgress,
+};
@@ -0,0 +1,351 @@
+const { spawn } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const dotenv = require("dotenv");
+const Project = require("../models/Project");
+const storage = require("./storage");
+const { registerHandler, enqueue } = require("./jobQueue");
+const {
+  getFileUrl,
+  uploadFile,
+  uploadImage,
+  mediaKeys,
+} = require("./s3Service");
+
+dotenv.config();
+
+const JOB_TYPE = "video-transcode";
+const MAX_ATTEMPTS = Number(process.env.VIDEO_TRANSCODE_MAX_ATTEMPTS) || 3;
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+const FFPROBE_PATH = process.env.FFPROBE_PATH || "ffprobe";
+// Longest an ffmpeg or ffprobe run may take before it is killed and the job
+// retried, so a hung process cannot hold up every later video
+const TIMEOUT_MS = (Number(process.env.VIDEO_TRANSCODE_TIMEOUT_MINUTES) || 60) * 60 * 1000;
+
+// HLS renditions, by the length of the short side of the picture. Only the
+// ones not bigger than the source are made.
+const HLS_RENDITIONS = [
+  { name: "1080p", size: 1080, videoKbps: 5000, audioKbps: 128 },
+  { name: "720p", size: 720, videoKbps: 2800, audioKbps: 128 },
+  { name: "480p", size: 480, videoKbps: 1400, audioKbps: 96 },
+  { name: "360p", size: 360, videoKbps: 800, audioKbps: 96 },
+];
+const HLS_SEGMENT_SECONDS = 6;
+// The MP4 copy is capped at this short side
+const MP4_MAX_SIZE = 1080;
+
+const CONTENT_TYPES = {
+  ".m3u8": "application/vnd.apple.mpegurl",
+  ".ts": "video/mp2t",
+};
+
+/**
+ * Runs ffmpeg or ffprobe and resolves with its standard output. The process
+ * is killed if it runs longer than VIDEO_TRANSCODE_TIMEOUT_MINUTES.
+ * @param {string} command - The binary.
+ * @param {string[]} args
+ * @returns {Promise<string>}
+ */
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ["ignore", "pipe", "pipe"] });
+    const name = path.basename(command);
+    let stdout = "";
+    let stderr = "";
+
+    // Rejected right away: the output pipes may stay open until children of
+    // the killed process exit too
+    const timer = setTimeout(() => {
+      child.kill("SIGKILL");
+      reject(new Error(`${name} was stopped after running for ${TIMEOUT_MS / 60000} minutes`));
+    }, TIMEOUT_MS);
+
+    child.stdout.on("data", (chunk) => {
+      stdout += chunk;
+    });
+    child.stderr.on("data", (chunk) => {
+      // Only the end is useful, ffmpeg reports the error last
+      stderr = (stderr + chunk).slice(-2000);
+    });
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve(stdout);
+      } else {
+        reject(new Error(`${name} exited with code ${code}: ${stderr.trim()}`));
+      }
+    });
+  });
+}
+
+/**
+ * Reads the duration, picture size and audio presence of a video.
+ * @param {string} filePath
+ * @returns {Promise<{duration: number, width: number, height: number, hasAudio: boolean}>}
+ */
+async function probeVideo(filePath) {
+  const output = await run(FFPROBE_PATH, [
+    "-v", "error",
+    "-print_format", "json",
+    "-show_format",
+    "-show_streams",
+    filePath,
+  ]);
+  const { format, streams } = JSON.parse(output);
+
+  const video = streams.find((stream) => stream.codec_type === "video");
+  if (!video) {
+    throw new Error("The file has no video stream");
+  }
+
+  // Phone videos are often stored sideways with a rotation flag, which
+  // ffmpeg applies when transcoding
+  const displayMatrix = (video.side_data_list || []).find(
+    (data) => data.rotation !== undefined
+  );
+  const rotation = Math.abs(
+    Number(video.tags?.rotate) || Number(displayMatrix?.rotation) || 0
+  );
+  const sideways = rotation % 180 === 90;
+
+  return {
+    duration: Number(format.duration) || Number(video.duration) || 0,
+    width: sideways ? video.height : video.width,
+    height: sideways ? video.width : video.height,
+    hasAudio: streams.some((stream) => stream.codec_type === "audio"),
+  };
+}
+
+// Scales the short side of the picture to `size`, keeping dimensions even
+// as H.264 requires
+const scaleTo = ({ width, height }, size) => {
+  const scale = size / Math.min(width, height);
+  const even = (value) => Math.max(2, Math.round((value * scale) / 2) * 2);
+  return { width: even(width), height: even(height) };
+};
+
+const audioArgs = (probe, kbps) =>
+  probe.hasAudio ? ["-c:a", "aac", "-b:a", `${kbps}k`, "-ac", "2"] : ["-an"];
+
+/**
+ * Transcodes a video into an H.264/AAC MP4, HLS renditions with a master
+ * playlist, and a poster frame.
+ * @param {string} inputPath - The source video.
+ * @param {string} outputDir - An empty directory for the results.
+ * @returns {Promise<object>} `{duration, mp4, hls, poster}`. `mp4` is
+ *   `{path, width, height}`, `poster` is `{path}`, and `hls` is
+ *   `{dir, master}`, where `master` is the file name of the master playlist
+ *   inside `dir`.
+ */
+async function transcodeVideo(inputPath, outputDir) {
+  const probe = await probeVideo(inputPath);
+  const sourceSize = Math.min(probe.width, probe.height);
+
+  // MP4 for browsers without HLS support and for downloads
+  const mp4 = {
+    path: path.join(outputDir, "video.mp4"),
+    ...scaleTo(probe, Math.min(sourceSize, MP4_MAX_SIZE)),
+  };
+  await run(FFMPEG_PATH, [
+    "-y", "-i", inputPath,
+    "-vf", `scale=${mp4.width}:${mp4.height}`,
+    "-c:v", "libx264", "-preset", "medium", "-crf", "23",
+    "-profile:v", "high", "-pix_fmt", "yuv420p",
+    ...audioArgs(probe, 128),
+    "-movflags", "+faststart",
+    mp4.path,
+  ]);
+
+  // HLS renditions with key frames at every segment boundary, so players can
+  // switch between them
+  const hlsDir = path.join(outputDir, "hls");
+  await fs.promises.mkdir(hlsDir);
+
+  let renditions = HLS_RENDITIONS.filter((rendition) => rendition.size <= sourceSize);
+  if (!renditions.length) {
+    renditions = [{ ...HLS_RENDITIONS[HLS_RENDITIONS.length - 1], size: sourceSize }];
+  }
+
+  const playlist = ["#EXTM3U", "#EXT-X-VERSION:3"];
+  for (const rendition of renditions) {
+    const { width, height } = scaleTo(probe, rendition.size);
+    await run(FFMPEG_PATH, [
+      "-y", "-i", inputPath,
+      "-vf", `scale=${width}:${height}`,
+      "-c:v", "libx264", "-preset", "veryfast",
+      "-profile:v", "main", "-pix_fmt", "yuv420p",
+      "-b:v", `${rendition.videoKbps}k`,
+      "-maxrate", `${Math.round(rendition.videoKbps * 1.07)}k`,
+      "-bufsize", `${rendition.videoKbps * 1.5}k`,
+      "-force_key_frames", `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+      ...audioArgs(probe, rendition.audioKbps),
+      "-f", "hls",
+      "-hls_time", String(HLS_SEGMENT_SECONDS),
+      "-hls_playlist_type", "vod",
+      "-hls_segment_filename", path.join(hlsDir, `${rendition.name}_%03d.ts`),
+      path.join(hlsDir, `${rendition.name}.m3u8`),
+    ]);
+
+    // Peak bandwidth in bits per second, with headroom over the average
+    const kbps = rendition.videoKbps + (probe.hasAudio ? rendition.audioKbps : 0);
+    const bandwidth = Math.round(kbps * 1000 * 1.1);
+    playlist.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${width}x${height}`,
+      `${rendition.name}.m3u8`
+    );
+  }
+  await fs.promises.writeFile(
+    path.join(hlsDir, "master.m3u8"),
+    `${playlist.join("\n")}\n`
+  );
+
+  // Poster from one second in, or the middle of very short videos
+  const poster = { path: path.join(outputDir, "poster.jpg") };
+  await run(FFMPEG_PATH, [
+    "-y",
+    "-ss", String(Math.min(1, probe.duration / 2)),
+    "-i", inputPath,
+    "-frames:v", "1",
+    "-q:v", "2",
+    poster.path,
+  ]);
+
+  return {
+    duration: probe.duration,
+    mp4,
+    hls: { dir: hlsDir, master: "master.m3u8" },
+    poster,
+  };
+}
+
+/**
+ * Transcodes the video a job was queued for and stores the results on the
+ * project. If the project's video was replaced or removed, or the project
+ * deleted, in the meantime, the results are thrown away.
+ */
+registerHandler(JOB_TYPE, async ({ projectId, key }, job) => {
+  const project = await Project.findById(projectId);
+  if (!project || !project.video || project.video.key !== key) {
+    return;
+  }
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "transcode-"));
+  const baseKey = key.replace(/\.[^./]*$/, "");
+  const stored = [];
+  const removeStored = () =>
+    Promise.all(stored.map((storedKey) => storage.delete(storedKey).catch(() => {})));
+
+  try {
+    const sourcePath = path.join(workDir, `source${path.extname(key)}`);
+    await pipeline(await storage.get(key), fs.createWriteStream(sourcePath));
+
+    const outputDir = path.join(workDir, "output");
+    await fs.promises.mkdir(outputDir);
+    const result = await transcodeVideo(sourcePath, outputDir);
+
+    const storeFile = async (fileKey, filePath, contentType, details = {}) => {
+      const { size } = await fs.promises.stat(filePath);
+      await uploadFile(fileKey, filePath, contentType);
+      stored.push(fileKey);
+      return {
+        key: fileKey,
+        url: getFileUrl(fileKey),
+        mimeType: contentType,
+        size,
+        ...details,
+      };
+    };
+
+    const mp4 = await storeFile(`${baseKey}-h264.mp4`, result.mp4.path, "video/mp4", {
+      width: result.mp4.width,
+      height: result.mp4.height,
+    });
+
+    let hls;
+    for (const fileName of await fs.promises.readdir(result.hls.dir)) {
+      const file = await storeFile(
+        `${baseKey}-hls/${fileName}`,
+        path.join(result.hls.dir, fileName),
+        CONTENT_TYPES[path.extname(fileName)]
+      );
+      if (fileName === result.hls.master) {
+        hls = file;
+      }
+    }
+
+    const { size } = await fs.promises.stat(result.poster.path);
+    const poster = await uploadImage(`${baseKey}-poster.jpg`, {
+      path: result.poster.path,
+      mimetype: "image/jpeg",
+      size,
+    });
+    stored.push(...mediaKeys(poster));
+
+    // Only attach the results if the project still has this video
+    const update = await Project.updateOne(
+      { _id: projectId, "video.key": key },
+      {
+        $set: {
+          "video.status": "ready",
+          "video.duration": result.duration,
+          "video.mp4": mp4,
+          "video.hls": hls,
+          "video.poster": poster,
+        },
+        $unset: { "video.processingError": "" },
+      }
+    );
+    if (update.matchedCount === 0) {
+      await removeStored();
+    }
+  } catch (error) {
+    await removeStored();
+
+    if (job.attempts >= job.maxAttempts) {
+      await Project.updateOne(
+        { _id: projectId, "video.key": key },
+        { $set: { "video.status": "failed", "video.processingError": error.message } }
+      );
+    }
+    throw error;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+});
+
+/**
+ * Queues the transcoding of a project's current video. The video must
+ * already be saved with status "processing", see markVideoProcessing.
+ * @param {object} project - The saved project.
+ * @returns {Promise<object>} The job document.
+ */
+async function queueVideoTranscode(project) {
+  return enqueue(
+    JOB_TYPE,
+    { projectId: project._id.toString(), key: project.video.key },
+    { maxAttempts: MAX_ATTEMPTS }
+  );
+}
+
+/**
+ * Prepares an uploaded video media object for saving, before it is
+ * transcoded by queueVideoTranscode.
+ * @param {object} video - The media object from uploadMedia or completeDirectUpload.
+ * @returns {object} The same media object, marked as processing.
+ */
+function markVideoProcessing(video) {
+  return { ...video, status: "processing" };
+}
+
+module.exports = {
+  probeVideo,
+  transcodeVideo,
+  queueVideoTranscode,
+  markVideoProcessing,
+};
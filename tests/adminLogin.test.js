@@ -0,0 +1,103 @@
+process.env.JWT_SECRET = "test-secret";
+
+const { describe, test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const Admin = require("../models/Admin");
+const LoginAttempt = require("../models/LoginAttempt");
+const RefreshToken = require("../models/RefreshToken");
+const { hashPassword } = require("../services/authService");
+const adminRoutes = require("../routes/admin");
+const { serve, queryStub } = require("./helpers");
+
+describe("POST /api/admin/loginAdmin", () => {
+  let app;
+  let admins;
+
+  before(async () => {
+    admins = [
+      new Admin({
+        name: "Alice",
+        username: "alice",
+        email: "alice@example.com",
+        password: await hashPassword("alice-password"),
+        role: "owner",
+      }),
+      new Admin({
+        name: "Bob",
+        username: "bob",
+        email: "bob@example.com",
+        password: await hashPassword("bob-password"),
+        role: "editor",
+      }),
+    ];
+
+    // Admins matching every field of the filter, like MongoDB would
+    mock.method(
+      Admin,
+      "findOne",
+      queryStub(
+        (filter) =>
+          admins.find((admin) =>
+            Object.entries(filter).every(([field, value]) => admin[field] === value)
+          ) || null
+      )
+    );
+    mock.method(LoginAttempt, "find", async () => []);
+    mock.method(LoginAttempt, "findOneAndUpdate", async () => ({ failures: 1 }));
+    mock.method(LoginAttempt, "updateOne", async () => ({}));
+    mock.method(LoginAttempt, "deleteOne", async () => ({}));
+    mock.method(RefreshToken, "create", async () => ({}));
+
+    app = await serve("/api/admin", adminRoutes);
+  });
+
+  after(async () => {
+    await app.close();
+    mock.restoreAll();
+  });
+
+  const login = (body) => app.request("POST", "/api/admin/loginAdmin", body);
+
+  test("logs in with the admin's own username or email", async () => {
+    for (const credentials of [
+      { username: "alice", password: "alice-password" },
+      { email: "alice@example.com", password: "alice-password" },
+    ]) {
+      const response = await login(credentials);
+      assert.equal(response.status, 200);
+      assert.equal(response.body.admin.username, "alice");
+      assert.ok(response.body.accessToken);
+    }
+  });
+
+  test("refuses a password with another admin's username", async () => {
+    const response = await login({ username: "bob", password: "alice-password" });
+    assert.equal(response.status, 401);
+    assert.deepEqual(response.body, { message: "Invalid credentials" });
+  });
+
+  test("refuses a password with another admin's email", async () => {
+    const response = await login({ email: "bob@example.com", password: "alice-password" });
+    assert.equal(response.status, 401);
+    assert.deepEqual(response.body, { message: "Invalid credentials" });
+  });
+
+  test("refuses an unknown login", async () => {
+    for (const credentials of [
+      { username: "carol", password: "alice-password" },
+      { email: "carol@example.com", password: "alice-password" },
+    ]) {
+      const response = await login(credentials);
+      assert.equal(response.status, 401);
+      assert.deepEqual(response.body, { message: "Invalid credentials" });
+    }
+  });
+
+  test("counts refused logins against the lockout", async () => {
+    LoginAttempt.findOneAndUpdate.mock.resetCalls();
+    await login({ username: "bob", password: "alice-password" });
+
+    const keys = LoginAttempt.findOneAndUpdate.mock.calls.map((call) => call.arguments[0].key);
+    assert.deepEqual(keys.sort(), ["account:bob", "ip:127.0.0.1"]);
+  });
+});
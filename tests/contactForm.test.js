@@ -0,0 +1,270 @@
+process.env.SPAM_SCORE_THRESHOLD = "5";
+process.env.CONTACT_RATE_LIMIT_MAX = "3";
+process.env.CONTACT_AUTO_REPLY = "true";
+delete process.env.CHALLENGE_SECRET;
+
+const { describe, test, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const ContactMessage = require("../models/ContactMessage");
+const Job = require("../models/Job");
+const RateLimitCounter = require("../models/RateLimitCounter");
+const rateLimit = require("../middleware/rateLimit");
+const { scoreSubmission } = require("../services/spamFilter");
+const { setChallengeVerifier, verifyChallenge } = require("../services/challengeVerifier");
+const emailRoutes = require("../routes/email");
+const { serve } = require("./helpers");
+
+const enquiry = {
+  name: "Jane Doe",
+  email: "jane@example.com",
+  subject: "Wedding video",
+  message: "Hello, we would like a quote for our wedding in June. Thank you!",
+};
+
+// Counters kept in memory, upserted the way the middleware asks MongoDB to
+const counters = new Map();
+const incrementCounter = async (filter, update) => {
+  const counter = counters.get(filter.key) || { key: filter.key, count: 0 };
+  counter.count += update.$inc.count;
+  counters.set(filter.key, counter);
+  return counter;
+};
+
+describe("scoreSubmission", () => {
+  test("lets a normal enquiry through", () => {
+    assert.deepEqual(scoreSubmission(enquiry), { score: 0, reasons: [], isSpam: false });
+  });
+
+  test("flags links and spam keywords", () => {
+    const result = scoreSubmission({
+      ...enquiry,
+      subject: "SEO services",
+      message: "Get backlinks at https://spam.example and www.spam.example, click here",
+    });
+    assert.equal(result.isSpam, true);
+    assert.equal(result.score, 2 + 2 * 3);
+    assert.deepEqual(result.reasons, [
+      "contains 2 link(s)",
+      "contains spam keywords: seo services, backlinks, click here",
+    ]);
+  });
+
+  test("flags a link in the name", () => {
+    const result = scoreSubmission({ ...enquiry, name: "https://spam.example" });
+    assert.deepEqual(result.reasons, ["name contains a link"]);
+    assert.equal(result.isSpam, false);
+  });
+
+  test("adds up weaker signals until the threshold", () => {
+    const result = scoreSubmission({
+      ...enquiry,
+      message: "PLEASE CALL ME BACK ABOUT THE PRICE!!!!!!!!!! WWW.EXAMPLE.COM JANE@EXAMPLE.COM",
+    });
+    assert.deepEqual(result.reasons, [
+      "contains 1 link(s)",
+      "message is all caps",
+      "message repeats a character many times",
+      "message repeats the sender address alongside links",
+    ]);
+    assert.equal(result.score, 5);
+    assert.equal(result.isSpam, true);
+  });
+});
+
+describe("rateLimit", () => {
+  let app;
+
+  before(async () => {
+    const router = express.Router();
+    router.post("/", rateLimit({ name: "test", windowMs: 60 * 1000, max: 2 }), (req, res) =>
+      res.status(200).json({ ok: true })
+    );
+    app = await serve("/limited", router);
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    counters.clear();
+    mock.method(RateLimitCounter, "findOneAndUpdate", incrementCounter);
+  });
+
+  test("answers 429 with Retry-After past the limit", async () => {
+    assert.equal((await app.request("POST", "/limited")).status, 200);
+    assert.equal((await app.request("POST", "/limited")).status, 200);
+
+    const limited = await app.request("POST", "/limited");
+    assert.equal(limited.status, 429);
+    const retryAfter = Number(limited.headers.get("retry-after"));
+    assert.ok(retryAfter > 0 && retryAfter <= 60);
+
+    const [key] = counters.keys();
+    assert.match(key, /^test:127\.0\.0\.1:\d+$/);
+  });
+
+  test("retries once when two first requests race to insert the counter", async () => {
+    let calls = 0;
+    RateLimitCounter.findOneAndUpdate.mock.mockImplementation(async (...args) => {
+      calls += 1;
+      if (calls === 1) {
+        throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+      }
+      return incrementCounter(...args);
+    });
+
+    assert.equal((await app.request("POST", "/limited")).status, 200);
+    assert.equal(calls, 2);
+  });
+
+  test("does not retry other errors", async () => {
+    RateLimitCounter.findOneAndUpdate.mock.mockImplementation(async () => {
+      throw new Error("connection lost");
+    });
+
+    const response = await app.request("POST", "/limited");
+    assert.equal(response.status, 500);
+    assert.equal(RateLimitCounter.findOneAndUpdate.mock.callCount(), 1);
+  });
+});
+
+describe("POST /api/email/send-email", () => {
+  let app;
+  let saved;
+  let jobs;
+
+  before(async () => {
+    mock.method(ContactMessage, "create", async (fields) => {
+      const message = new ContactMessage(fields);
+      saved.push(message);
+      return message;
+    });
+    mock.method(ContactMessage.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(Job, "create", async (fields) => {
+      const job = new Job(fields);
+      jobs.push(job);
+      return job;
+    });
+    mock.method(ContactMessage, "updateOne", async () => ({}));
+
+    app = await serve("/api/email", emailRoutes);
+  });
+
+  after(async () => {
+    setChallengeVerifier(null);
+    await app.close();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    saved = [];
+    jobs = [];
+    counters.clear();
+    mock.method(RateLimitCounter, "findOneAndUpdate", incrementCounter);
+    setChallengeVerifier(null);
+  });
+
+  const send = (body) => app.request("POST", "/api/email/send-email", body);
+
+  test("stores and queues a normal enquiry", async () => {
+    const response = await send(enquiry);
+    assert.equal(response.status, 202);
+    assert.equal(saved.length, 1);
+    assert.equal(saved[0].status, "unread");
+    assert.equal(saved[0].deliveryStatus, "pending");
+    assert.deepEqual(
+      jobs.map((job) => job.type),
+      ["contact-notification", "contact-auto-reply"]
+    );
+  });
+
+  test("marks the message failed only when the notification was not queued", async (t) => {
+    t.mock.method(console, "error", () => {});
+    ContactMessage.updateOne.mock.resetCalls();
+
+    // The auto-reply cannot be queued: the notification still goes out
+    t.mock.method(Job, "create", async (fields) => {
+      if (fields.type === "contact-auto-reply") {
+        throw new Error("connection lost");
+      }
+      return new Job(fields);
+    });
+    assert.equal((await send(enquiry)).status, 202);
+    assert.equal(saved[0].deliveryStatus, "pending");
+    assert.ok(saved[0].emailJob);
+    assert.equal(ContactMessage.updateOne.mock.callCount(), 0);
+
+    // The notification cannot be queued
+    Job.create.mock.mockImplementation(async () => {
+      throw new Error("connection lost");
+    });
+    assert.equal((await send(enquiry)).status, 202);
+    assert.deepEqual(ContactMessage.updateOne.mock.calls.at(-1).arguments, [
+      { _id: saved[1]._id },
+      { deliveryStatus: "failed", deliveryError: "connection lost" },
+    ]);
+  });
+
+  test("holds spam without emailing it", async () => {
+    const response = await send({
+      ...enquiry,
+      message: "Cheap crypto loan, make money from home: https://spam.example",
+    });
+    assert.equal(response.status, 202);
+    assert.equal(saved[0].status, "spam");
+    assert.equal(saved[0].deliveryStatus, "skipped");
+    assert.ok(saved[0].spamScore >= 5);
+    assert.equal(jobs.length, 0);
+  });
+
+  test("rate limits submissions per IP", async () => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      assert.equal((await send(enquiry)).status, 202);
+    }
+    assert.equal((await send(enquiry)).status, 429);
+    assert.equal(saved.length, 3);
+  });
+
+  test("checks the challenge token with the configured verifier", async () => {
+    const verifier = mock.fn(async (token) => token === "valid-token");
+    setChallengeVerifier(verifier);
+
+    assert.equal((await send(enquiry)).status, 400);
+    assert.equal((await send({ ...enquiry, challengeToken: "forged" })).status, 400);
+    assert.equal(saved.length, 0);
+
+    assert.equal((await send({ ...enquiry, challengeToken: "valid-token" })).status, 202);
+    assert.equal(saved.length, 1);
+    assert.deepEqual(verifier.mock.calls.at(-1).arguments, ["valid-token", "127.0.0.1"]);
+  });
+
+  test("answers 503 when the verifier fails", async (t) => {
+    t.mock.method(console, "error", () => {});
+    setChallengeVerifier(async () => {
+      throw new Error("siteverify is down");
+    });
+
+    const response = await send({ ...enquiry, challengeToken: "valid-token" });
+    assert.equal(response.status, 503);
+    assert.equal(saved.length, 0);
+  });
+});
+
+describe("verifyChallenge", () => {
+  after(() => setChallengeVerifier(null));
+
+  test("passes everything while no verifier is set", async () => {
+    setChallengeVerifier(null);
+    assert.equal(await verifyChallenge(undefined, "127.0.0.1"), true);
+  });
+
+  test("refuses a missing token without calling the verifier", async () => {
+    const verifier = mock.fn(async () => true);
+    setChallengeVerifier(verifier);
+    assert.equal(await verifyChallenge(undefined, "127.0.0.1"), false);
+    assert.equal(await verifyChallenge({ $ne: null }, "127.0.0.1"), false);
+    assert.equal(verifier.mock.callCount(), 0);
+  });
+});
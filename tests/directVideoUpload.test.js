@@ -0,0 +1,122 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "direct-upload-test-"));
+process.env.JWT_SECRET = "test-secret";
+process.env.STORAGE_DRIVER = "local";
+process.env.LOCAL_STORAGE_DIR = storageDir;
+process.env.LOCAL_STORAGE_BASE_URL = "http://localhost:5000/media";
+
+const { describe, test, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const Project = require("../models/Project");
+const Job = require("../models/Job");
+const storage = require("../services/storage");
+const projectRoutes = require("../routes/projects");
+const { serve, queryStub } = require("./helpers");
+
+// The start of an MP4 file
+const MP4_HEADER = Buffer.concat([
+  Buffer.from([0, 0, 0, 0x20]),
+  Buffer.from("ftypisom"),
+  Buffer.alloc(100),
+]);
+
+describe("direct video uploads", () => {
+  let app;
+  let project;
+
+  before(async () => {
+    mock.method(Project, "findById", queryStub(() => project));
+    mock.method(Project.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(Job, "create", async (fields) => new Job(fields));
+
+    app = await serve("/api/projects", projectRoutes);
+  });
+
+  after(async () => {
+    await app.close();
+    mock.restoreAll();
+    await fs.promises.rm(storageDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    project = new Project({
+      title: "Title",
+      location: "Location",
+      year: 2024,
+      description: "Description",
+    });
+  });
+
+  const createUpload = () =>
+    app.request("POST", `/api/projects/createVideoUpload/${project._id}`, {
+      fileName: "clip.mp4",
+      contentType: "video/mp4",
+      size: MP4_HEADER.length,
+    });
+  const confirm = (body) =>
+    app.request("POST", `/api/projects/confirmVideoUpload/${project._id}`, body);
+  const abort = (body) =>
+    app.request("POST", `/api/projects/abortVideoUpload/${project._id}`, body);
+
+  test("attaches a confirmed upload to the project", async () => {
+    const { body: directUpload } = await createUpload();
+    await storage.put(directUpload.key, MP4_HEADER);
+
+    const response = await confirm({
+      key: directUpload.key,
+      uploadToken: directUpload.uploadToken,
+    });
+    assert.equal(response.status, 200);
+    assert.equal(project.video.key, directUpload.key);
+    assert.equal(project.video.mimeType, "video/mp4");
+    assert.equal(project.video.status, "processing");
+    assert.equal(Job.create.mock.calls.at(-1).arguments[0].type, "video-transcode");
+  });
+
+  test("refuses keys that createVideoUpload did not hand out", async () => {
+    const { body: directUpload } = await createUpload();
+    const generatedKey = directUpload.key.replace(/\.mp4$/, "-h264.mp4");
+    await storage.put(generatedKey, MP4_HEADER);
+
+    for (const body of [
+      { key: generatedKey },
+      { key: generatedKey, uploadToken: directUpload.uploadToken },
+    ]) {
+      assert.equal((await confirm(body)).status, 400);
+      assert.equal((await abort(body)).status, 400);
+    }
+    assert.ok(await storage.head(generatedKey));
+    assert.equal(project.video, null);
+  });
+
+  test("does not abandon the current video", async () => {
+    const { body: directUpload } = await createUpload();
+    await storage.put(directUpload.key, MP4_HEADER);
+    await confirm({ key: directUpload.key, uploadToken: directUpload.uploadToken });
+
+    const response = await abort({
+      key: directUpload.key,
+      uploadToken: directUpload.uploadToken,
+    });
+    assert.equal(response.status, 409);
+    assert.ok(await storage.head(directUpload.key));
+  });
+
+  test("deletes an upload that is not a video", async () => {
+    const { body: directUpload } = await createUpload();
+    await storage.put(directUpload.key, Buffer.from("<html>not a video</html>"));
+
+    const response = await confirm({
+      key: directUpload.key,
+      uploadToken: directUpload.uploadToken,
+    });
+    assert.equal(response.status, 415);
+    assert.equal(await storage.head(directUpload.key), null);
+    assert.equal(project.video, null);
+  });
+});
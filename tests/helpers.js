@@ -0,0 +1,63 @@
+const express = require("express");
+
+/**
+ * Serves a router on a random local port, with the JSON body parser the
+ * server uses.
+ * @param {string} path - Where to mount the router, e.g. `/api/admin`.
+ * @param {import("express").Router} router
+ * @returns {Promise<{request: Function, close: () => Promise<void>}>}
+ *   `request(method, url, body)` resolves to `{status, headers, body}`.
+ */
+async function serve(path, router) {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, url, body) {
+    const response = await fetch(origin + url, {
+      method,
+      headers: body === undefined ? {} : { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: text ? JSON.parse(text) : null,
+    };
+  }
+
+  return {
+    request,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Makes a stub resolve like a Mongoose query, including after the chained
+ * calls the routes make on queries (select, sort, ...).
+ * @param {Function} find - Returns the result, or a promise of it.
+ * @returns {Function}
+ */
+function queryStub(find) {
+  return (...args) => {
+    const query = {
+      select: () => query,
+      sort: () => query,
+      limit: () => query,
+      lean: () => query,
+      then: (resolve, reject) => Promise.resolve(find(...args)).then(resolve, reject),
+    };
+    return query;
+  };
+}
+
+module.exports = {
+  serve,
+  queryStub,
+};
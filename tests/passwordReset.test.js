@@ -0,0 +1,212 @@
+process.env.JWT_SECRET = "test-secret";
+process.env.PASSWORD_RESET_URL = "http://localhost:3000/admin/reset-password";
+
+const { describe, test, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { SMTPServer } = require("smtp-server");
+const Admin = require("../models/Admin");
+const RefreshToken = require("../models/RefreshToken");
+const { hashPassword, verifyPassword } = require("../services/authService");
+const adminRoutes = require("../routes/admin");
+const { serve, queryStub } = require("./helpers");
+
+// Recipients the SMTP stand-in refuses, to make sendMail fail
+const UNDELIVERABLE = "broken@example.com";
+
+/**
+ * Starts an SMTP server on a random local port that keeps every message it
+ * receives.
+ * @returns {Promise<{messages: {to: string[], body: string}[], port: number, close: Function}>}
+ */
+async function startSmtpServer() {
+  const messages = [];
+  const server = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ["AUTH", "STARTTLS"],
+    logger: false,
+    onRcptTo(address, session, callback) {
+      if (address.address === UNDELIVERABLE) {
+        return callback(new Error("Mailbox unavailable"));
+      }
+      callback();
+    },
+    onData(stream, session, callback) {
+      const chunks = [];
+      stream.on("data", (chunk) => chunks.push(chunk));
+      stream.on("end", () => {
+        messages.push({
+          to: session.envelope.rcptTo.map((recipient) => recipient.address),
+          body: Buffer.concat(chunks).toString(),
+        });
+        callback();
+      });
+    },
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    messages,
+    port: server.server.address().port,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Waits until a condition holds, for work done after the response is sent.
+ * @param {() => boolean} condition
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition) {
+  const giveUpAt = Date.now() + 5000;
+  while (!condition()) {
+    assert.ok(Date.now() < giveUpAt, "timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+describe("password reset", () => {
+  const forgotMessage = "If an admin with this email exists, a reset link has been sent";
+  let app;
+  let smtp;
+  let admins;
+
+  before(async () => {
+    smtp = await startSmtpServer();
+    process.env.SMTP_HOST = "127.0.0.1";
+    process.env.SMTP_PORT = String(smtp.port);
+    process.env.SMTP_SECURE = "false";
+    process.env.MAIL_FROM = "no-reply@example.com";
+
+    mock.method(
+      Admin,
+      "findOne",
+      queryStub((filter) => admins.find((admin) => admin.email === filter.email) || null)
+    );
+    // Matches the reset token the way MongoDB would, and consumes it
+    mock.method(Admin, "findOneAndUpdate", async (filter, update) => {
+      const admin = admins.find(
+        (candidate) =>
+          candidate.passwordResetTokenHash === filter.passwordResetTokenHash &&
+          candidate.passwordResetExpiresAt > filter.passwordResetExpiresAt.$gt
+      );
+      if (!admin) {
+        return null;
+      }
+      admin.password = update.$set.password;
+      admin.passwordResetTokenHash = undefined;
+      admin.passwordResetExpiresAt = undefined;
+      return admin;
+    });
+    mock.method(Admin.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(RefreshToken, "updateMany", async () => ({}));
+
+    app = await serve("/api/admin", adminRoutes);
+  });
+
+  after(async () => {
+    await app.close();
+    await smtp.close();
+    mock.restoreAll();
+  });
+
+  beforeEach(async () => {
+    smtp.messages.length = 0;
+    admins = [
+      new Admin({
+        name: "Alice",
+        email: "alice@example.com",
+        password: await hashPassword("old-password-1"),
+      }),
+      new Admin({
+        name: "Broken",
+        email: UNDELIVERABLE,
+        password: await hashPassword("old-password-1"),
+      }),
+    ];
+  });
+
+  const forgotPassword = (email) =>
+    app.request("POST", "/api/admin/forgot-password", { email });
+  const resetPassword = (token, password) =>
+    app.request("POST", "/api/admin/reset-password", { token, password });
+
+  // The token of the reset link in the last email, whose text is
+  // quoted-printable encoded
+  const tokenFromEmail = () => {
+    const text = smtp.messages
+      .at(-1)
+      .body.replace(/=\r\n/g, "")
+      .replace(/=([0-9A-F]{2})/g, (escape, code) => String.fromCharCode(parseInt(code, 16)));
+    const match = text.match(/token=([a-f0-9]+)/);
+    assert.ok(match, "the email contains a reset link");
+    return match[1];
+  };
+
+  test("emails a reset link that sets a new password once", async () => {
+    const forgot = await forgotPassword("alice@example.com");
+    assert.equal(forgot.status, 200);
+    assert.deepEqual(forgot.body, { message: forgotMessage });
+    await waitFor(() => smtp.messages.length === 1);
+    assert.deepEqual(smtp.messages[0].to, ["alice@example.com"]);
+
+    const token = tokenFromEmail();
+    const reset = await resetPassword(token, "new-password-1");
+    assert.equal(reset.status, 200);
+    assert.ok(await verifyPassword("new-password-1", admins[0].password));
+    assert.equal(RefreshToken.updateMany.mock.calls.at(-1).arguments[0].admin, admins[0]._id);
+
+    const reused = await resetPassword(token, "another-password-1");
+    assert.equal(reused.status, 400);
+    assert.ok(await verifyPassword("new-password-1", admins[0].password));
+  });
+
+  test("refuses an expired token", async () => {
+    await forgotPassword("alice@example.com");
+    await waitFor(() => smtp.messages.length === 1);
+    admins[0].passwordResetExpiresAt = new Date(Date.now() - 1000);
+
+    const reset = await resetPassword(tokenFromEmail(), "new-password-1");
+    assert.equal(reset.status, 400);
+    assert.ok(await verifyPassword("old-password-1", admins[0].password));
+  });
+
+  test("gives the same answer for an unknown email without sending anything", async () => {
+    Admin.findOne.mock.resetCalls();
+    const forgot = await forgotPassword("nobody@example.com");
+    assert.equal(forgot.status, 200);
+    assert.deepEqual(forgot.body, { message: forgotMessage });
+
+    await waitFor(() => Admin.findOne.mock.callCount() === 1);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.equal(smtp.messages.length, 0);
+  });
+
+  test("answers before looking up the account", async (t) => {
+    let lookUp;
+    t.mock.method(
+      Admin,
+      "findOne",
+      queryStub(() => new Promise((resolve) => (lookUp = resolve)))
+    );
+
+    const forgot = await forgotPassword("alice@example.com");
+    assert.equal(forgot.status, 200);
+    assert.deepEqual(forgot.body, { message: forgotMessage });
+
+    lookUp(null);
+  });
+
+  test("gives the same answer when the email cannot be sent", async (t) => {
+    t.mock.method(console, "error", () => {});
+
+    const forgot = await forgotPassword(UNDELIVERABLE);
+    assert.equal(forgot.status, 200);
+    assert.deepEqual(forgot.body, { message: forgotMessage });
+
+    await waitFor(() => console.error.mock.callCount() === 1);
+    assert.match(console.error.mock.calls[0].arguments[1], /Mailbox unavailable/);
+    assert.equal(smtp.messages.length, 0);
+  });
+});
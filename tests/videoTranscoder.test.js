@@ -0,0 +1,104 @@
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// FFMPEG_PATH and FFPROBE_PATH when set, else the static builds from npm
+const installedBinary = (name) => {
+  try {
+    return require(`@${name}-installer/${name}`).path;
+  } catch (error) {
+    return name;
+  }
+};
+process.env.FFMPEG_PATH = process.env.FFMPEG_PATH || installedBinary("ffmpeg");
+process.env.FFPROBE_PATH = process.env.FFPROBE_PATH || installedBinary("ffprobe");
+
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { probeVideo, transcodeVideo } = require("../services/videoTranscoder");
+
+const available = [process.env.FFMPEG_PATH, process.env.FFPROBE_PATH].every(
+  (binary) => spawnSync(binary, ["-version"]).status === 0
+);
+
+/**
+ * Generates a test pattern video with ffmpeg.
+ * @param {string} filePath
+ * @param {{width: number, height: number, seconds: number, audio: boolean}} options
+ */
+function generateVideo(filePath, { width, height, seconds, audio }) {
+  const result = spawnSync(process.env.FFMPEG_PATH, [
+    "-v", "error", "-y",
+    "-f", "lavfi", "-i", `testsrc=duration=${seconds}:size=${width}x${height}:rate=25`,
+    ...(audio ? ["-f", "lavfi", "-i", `sine=frequency=440:duration=${seconds}`] : []),
+    "-c:v", "libx264", "-pix_fmt", "yuv420p",
+    ...(audio ? ["-c:a", "aac", "-shortest"] : []),
+    filePath,
+  ]);
+  assert.equal(result.status, 0, result.stderr.toString());
+}
+
+describe("transcodeVideo", { skip: !available && "ffmpeg or ffprobe is not available" }, () => {
+  let workDir;
+
+  before(async () => {
+    workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "transcode-test-"));
+  });
+
+  after(() => fs.promises.rm(workDir, { recursive: true, force: true }));
+
+  test("probes the size, duration and audio of a video", async () => {
+    const source = path.join(workDir, "silent.mp4");
+    generateVideo(source, { width: 320, height: 240, seconds: 1, audio: false });
+
+    const probe = await probeVideo(source);
+    assert.equal(probe.width, 320);
+    assert.equal(probe.height, 240);
+    assert.equal(probe.hasAudio, false);
+    assert.ok(Math.abs(probe.duration - 1) < 0.1);
+  });
+
+  test("makes an MP4, HLS renditions and a poster", async () => {
+    const source = path.join(workDir, "portrait.mp4");
+    generateVideo(source, { width: 360, height: 640, seconds: 2, audio: true });
+    const outputDir = path.join(workDir, "output");
+    await fs.promises.mkdir(outputDir);
+
+    const result = await transcodeVideo(source, outputDir);
+
+    assert.ok(Math.abs(result.duration - 2) < 0.2);
+    // Scaled by the short side, which is already the smallest rendition
+    assert.equal(result.mp4.width, 360);
+    assert.equal(result.mp4.height, 640);
+    const mp4 = await probeVideo(result.mp4.path);
+    assert.equal(mp4.width, 360);
+    assert.equal(mp4.height, 640);
+    assert.equal(mp4.hasAudio, true);
+
+    const master = await fs.promises.readFile(
+      path.join(result.hls.dir, result.hls.master),
+      "utf8"
+    );
+    assert.match(master, /^#EXTM3U\n/);
+    assert.match(master, /#EXT-X-STREAM-INF:BANDWIDTH=\d+,RESOLUTION=360x640\n360p\.m3u8\n/);
+    assert.doesNotMatch(master, /480p/);
+
+    const files = await fs.promises.readdir(result.hls.dir);
+    assert.ok(files.includes("360p.m3u8"));
+    assert.ok(files.some((file) => /^360p_\d{3}\.ts$/.test(file)));
+
+    const poster = await fs.promises.readFile(result.poster.path);
+    assert.deepEqual([...poster.subarray(0, 3)], [0xff, 0xd8, 0xff]);
+  });
+
+  test("rejects a file that is not a video", async () => {
+    const source = path.join(workDir, "not-a-video.mp4");
+    await fs.promises.writeFile(source, "not a video");
+
+    await assert.rejects(
+      transcodeVideo(source, path.join(workDir, "unused")),
+      /ffprobe exited with code 1/
+    );
+  });
+});
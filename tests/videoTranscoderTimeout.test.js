@@ -0,0 +1,35 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+// In a file of its own: the timeout and binaries are read when the
+// transcoder is loaded
+describe("transcodeVideo timeout", { skip: process.platform === "win32" }, () => {
+  let workDir;
+  let transcodeVideo;
+
+  before(async () => {
+    workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "transcode-timeout-"));
+
+    // An ffprobe that never finishes
+    const hangingProbe = path.join(workDir, "ffprobe");
+    await fs.promises.writeFile(hangingProbe, "#!/bin/sh\nexec sleep 30\n", { mode: 0o755 });
+
+    process.env.FFPROBE_PATH = hangingProbe;
+    process.env.VIDEO_TRANSCODE_TIMEOUT_MINUTES = "0.01";
+    ({ transcodeVideo } = require("../services/videoTranscoder"));
+  });
+
+  after(() => fs.promises.rm(workDir, { recursive: true, force: true }));
+
+  test("stops a run after VIDEO_TRANSCODE_TIMEOUT_MINUTES", async () => {
+    const startedAt = Date.now();
+    await assert.rejects(
+      transcodeVideo(path.join(workDir, "video.mp4"), workDir),
+      { message: "ffprobe was stopped after running for 0.01 minutes" }
+    );
+    assert.ok(Date.now() - startedAt < 5000);
+  });
+});